@@ -0,0 +1,92 @@
+// Files on disk for the CLI. Outgoing files become File objects backed by
+// the file on disk, so the browser code reads them a chunk at a time;
+// incoming ones go through a sink (the interface in client/src/sinks.js)
+// that writes each chunk straight to disk.
+
+import fs from 'fs';
+import path from 'path';
+import { withRelativePath, uniquePath } from '../client/src/folders.js';
+import { createHasher } from '../client/src/integrity.js';
+
+// ---------- READING ----------
+
+async function openFile(filePath, relativePath) {
+  const stat = await fs.promises.stat(filePath);
+  const blob = await fs.openAsBlob(filePath);
+  const file = new File([blob], path.basename(filePath), { lastModified: stat.mtimeMs });
+  return withRelativePath(file, relativePath);
+}
+
+async function walk(dir, prefix, files) {
+  const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  entries.sort((a, b) => a.name.localeCompare(b.name));
+
+  for (const entry of entries) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) await walk(full, `${prefix}${entry.name}/`, files);
+    else if (entry.isFile()) files.push(await openFile(full, prefix + entry.name));
+  }
+}
+
+// Files and folders from the command line; a folder keeps its own name at
+// the top of every path inside it, as a folder picked in the browser does
+export async function readFiles(paths) {
+  const files = [];
+
+  for (const arg of paths) {
+    const stat = await fs.promises.stat(arg);
+    if (stat.isDirectory()) {
+      await walk(arg, `${path.basename(path.resolve(arg))}/`, files);
+    } else {
+      files.push(await openFile(arg, path.basename(arg)));
+    }
+  }
+  return files;
+}
+
+// ---------- WRITING ----------
+
+// Writes under `dir` at the file's relative path (already made safe by
+// webrtc.js). Data goes to "<name>.part" and only takes the real name once
+// the whole file has checked out, next to any same-named file rather than
+// over it. onSaved(filePath) reports where it ended up.
+export function createDiskSink(dir, meta, onSaved) {
+  const target = path.join(dir, ...meta.path.split("/"));
+  const partial = `${target}.part`;
+  const hasher = createHasher();
+  let handle = null;
+  let written = 0;
+
+  async function open() {
+    if (handle) return handle;
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    handle = await fs.promises.open(partial, "w");
+    return handle;
+  }
+
+  return {
+    async savedChunks() {
+      return written;
+    },
+    async write(index, payload) {
+      await (await open()).write(new Uint8Array(payload));
+      hasher.update(payload);
+      written = index + 1;
+    },
+    async sha256() {
+      return hasher.hex();
+    },
+    async close() {
+      await (await open()).close();
+      const taken = new Set(await fs.promises.readdir(path.dirname(target)));
+      const saved = path.join(path.dirname(target), uniquePath(path.basename(target), taken));
+      await fs.promises.rename(partial, saved);
+      if (onSaved) onSaved(saved);
+      return null;
+    },
+    async abort() {
+      if (handle) await handle.close().catch(() => {});
+      await fs.promises.rm(partial, { force: true });
+    }
+  };
+}
@@ -0,0 +1,15 @@
+// Module resolution hook, registered by send-lite.js before it loads the
+// app's modules from ../client/src. Their bare imports (@noble/...) are
+// resolved from this package, so the CLI only needs its own dependencies
+// and not the web app's.
+
+const CLIENT_SRC = new URL("../client/src/", import.meta.url).href;
+
+const isBare = (specifier) => !/^(\.{0,2}\/|[a-z]+:)/i.test(specifier);
+
+export async function resolve(specifier, context, nextResolve) {
+  if (isBare(specifier) && context.parentURL?.startsWith(CLIENT_SRC)) {
+    return nextResolve(specifier, { ...context, parentURL: import.meta.url });
+  }
+  return nextResolve(specifier, context);
+}
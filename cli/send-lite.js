@@ -0,0 +1,473 @@
+#!/usr/bin/env node
+// send-lite: a send-anywhere-lite peer for terminals, CI jobs and servers.
+// It runs the browser app's own webrtc.js on node-datachannel, so it pairs
+// with the web app (either way round) through the same signaling server.
+// Those modules are loaded from ../client/src, but their packages come
+// from this one (see resolve.js), so the app's own need not be installed.
+//
+//   send-lite send <file|folder>...    prints a code, sends once it is entered
+//   send-lite receive <code|link>      accepts everything into --out
+//
+// Options:
+//   --server URL    signaling server (SIGNALING_URL, default http://localhost:5000)
+//   --out DIR       where received files go (default: the current directory)
+//   --channels N    parallel DataChannels when sending (1-8, default 1)
+//   --words         send with a word code, e.g. 482913-tiger-orbit-lamp
+//   --once          the code stops working after the first pairing
+//   --expires MIN   how long the code waits for a receiver (1-1440, default 5)
+//   --password PW   a password the receiver must also give (or SEND_LITE_PASSWORD,
+//                   which keeps it out of the process list)
+//   --relay         go through the TURN server only
+//   --verbose       show every connection step
+// ICE_SERVERS (a JSON array of RTCIceServer) overrides the server's
+// /ice-servers endpoint, as VITE_ICE_SERVERS does for the app.
+//
+// The code is the only thing written to stdout, so `code=$(send-lite send
+// ...)` works; progress goes to stderr. Exit codes:
+//   0 done, every file checked against its SHA-256 by the receiving end
+//   1 failed: bad code, lost connection, corrupted file, ...
+//   2 usage error
+//   3 declined or cancelled by the other side
+
+import { parseArgs } from 'util';
+import { register } from 'module';
+import { RTCPeerConnection } from 'node-datachannel/polyfill';
+import { io } from 'socket.io-client';
+
+// Before any of the app's modules load, so their imports resolve from here
+register('./resolve.js', import.meta.url);
+
+const { createWebRTCConnection, sendFilesOverRTC, getTransferId } =
+  await import('../client/src/webrtc.js');
+const { IntegrityError } = await import('../client/src/integrity.js');
+const { getRelativePath } = await import('../client/src/folders.js');
+const { ProtocolError } = await import('../client/src/protocol.js');
+const {
+  generatePairingSecret,
+  formatPairingCode,
+  parsePairingCode,
+  PairingError
+} = await import('../client/src/pake.js');
+const { readFiles, createDiskSink } = await import('./disk.js');
+
+globalThis.RTCPeerConnection ??= RTCPeerConnection;
+
+const EXIT_OK = 0;
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+const EXIT_DECLINED = 3;
+
+// How long the receiver gets to confirm the last file once it is sent
+const VERIFY_TIMEOUT_MS = 60000;
+// How long the server gets to hand out ICE servers
+const ICE_FETCH_TIMEOUT_MS = 10000;
+// How long a receiver waits to get through to the sender
+const PAIRING_TIMEOUT_MS = 60000;
+// How long a receiver that has everything waits for the sender to hang up
+const HANG_UP_TIMEOUT_MS = 10000;
+
+const USAGE = `Usage:
+  send-lite send <file|folder>... [--server URL] [--channels N] [--words] [--once]
+                 [--expires MIN] [--password PW] [--relay] [--verbose]
+  send-lite receive <code|link> [--out DIR] [--server URL] [--password PW] [--relay] [--verbose]`;
+
+const DEFAULT_ICE_CONFIG = {
+  iceServers: [{ urls: "stun:stun.l.google.com:19302" }]
+};
+
+// ---------- OUTPUT ----------
+
+const log = (message) => process.stderr.write(`${message}\n`);
+
+// One progress line, redrawn in place on a terminal; elsewhere only whole
+// files are reported, so CI logs stay short
+function createProgress() {
+  let lastDraw = 0;
+
+  return {
+    update(name, done, total) {
+      if (!process.stderr.isTTY) return;
+      const now = Date.now();
+      if (now - lastDraw < 200 && done < total) return;
+      lastDraw = now;
+      const percent = total ? Math.round((done / total) * 100) : 100;
+      process.stderr.write(`\r\x1b[K${name}  ${percent}%  ${(done / (1024 * 1024)).toFixed(1)} MB`);
+    },
+    clear() {
+      if (process.stderr.isTTY) process.stderr.write("\r\x1b[K");
+    }
+  };
+}
+
+// ---------- SIGNALING ----------
+// As client/src/Signaling.js, without the browser
+
+function createRoom(socket, options) {
+  return new Promise((resolve, reject) => {
+    socket.once("room-created", resolve);
+    socket.once("room-error", (err) => reject(new Error(err.message)));
+    socket.once("connect_error", (err) => reject(new Error(`Cannot reach the server: ${err.message}`)));
+    socket.emit("create-room", {
+      broadcast: false,
+      oneTime: options.once,
+      hasPassword: Boolean(options.password),
+      ttlSeconds: options.expires * 60
+    });
+  });
+}
+
+async function fetchIceConfig(server, relay) {
+  let config = DEFAULT_ICE_CONFIG;
+
+  if (process.env.ICE_SERVERS) {
+    config = { iceServers: JSON.parse(process.env.ICE_SERVERS) };
+  } else {
+    try {
+      const res = await fetch(`${server}/ice-servers`, { signal: AbortSignal.timeout(ICE_FETCH_TIMEOUT_MS) });
+      if (res.ok) config = await res.json();
+    } catch (err) {
+      log(`⚠️ Could not fetch ICE servers, using STUN only (${err.message})`);
+    }
+  }
+
+  return relay ? { ...config, iceTransportPolicy: "relay" } : config;
+}
+
+// A bare code, or a pairing link from the app ("...?mode=receive#code=...")
+function readCode(arg) {
+  try {
+    return new URLSearchParams(new URL(arg).hash.slice(1)).get("code") || arg;
+  } catch (err) {
+    return arg;
+  }
+}
+
+// Ends the session on success, so the other side does not wait for us to
+// reconnect; if it has hung up already, or ending fails, just closes
+async function hangUp(rtc, graceful) {
+  if (!rtc) return;
+  if (graceful && !rtc.isClosed()) {
+    try {
+      await rtc.end();
+      return;
+    } catch (err) {
+      // The channel went away under us
+    }
+  }
+  rtc.close();
+}
+
+// ---------- SEND ----------
+
+async function send(paths, options) {
+  let files;
+  try {
+    files = await readFiles(paths);
+  } catch (err) {
+    log(`❌ ${err.message}`);
+    return EXIT_USAGE;
+  }
+  if (files.length === 0) {
+    log("❌ Nothing to send");
+    return EXIT_USAGE;
+  }
+
+  const socket = io(options.server);
+  let room;
+  let iceConfig;
+  try {
+    [room, iceConfig] = await Promise.all([
+      createRoom(socket, options),
+      fetchIceConfig(options.server, options.relay)
+    ]);
+  } catch (err) {
+    log(`❌ Could not get a code from the server: ${err.message}`);
+    socket.disconnect();
+    return EXIT_FAILED;
+  }
+
+  const code = formatPairingCode(room.code, generatePairingSecret({ words: options.words }));
+  const total = files.reduce((sum, file) => sum + file.size, 0);
+  process.stdout.write(`${code}\n`);
+  log(`📦 ${files.length} file(s), ${(total / (1024 * 1024)).toFixed(2)} MB`);
+  const expiresAt = new Date(Date.now() + room.expiresIn);
+  log(`⏳ Waiting for a receiver; the code expires at ${expiresAt.toLocaleTimeString()}`);
+  if (room.hasPassword) log("🔒 The receiver also needs the password");
+  if (room.oneTime) log("☝️ The code works for one pairing only");
+
+  return new Promise((resolve) => {
+    const progress = createProgress();
+    const verified = new Set();
+    let expected = null; // transferIds accepted and sent, once the batch is out
+    let sending = false;
+    let verifyTimer = null;
+    let rtc = null;
+    let finished = false;
+
+    // Hangs up properly on success, so the other side does not wait for us
+    async function finish(exitCode, message) {
+      if (finished) return;
+      finished = true;
+      progress.clear();
+      if (message) log(message);
+      clearTimeout(verifyTimer);
+      await hangUp(rtc, exitCode === EXIT_OK);
+      socket.disconnect();
+      resolve(exitCode);
+    }
+
+    function checkVerified() {
+      if (expected && expected.every((id) => verified.has(id))) {
+        finish(EXIT_OK, `✅ Sent ${expected.length} file(s), verified by the receiver`);
+      }
+    }
+
+    // Started again after a reconnect; files the receiver already has are
+    // skipped and a partial one resumes
+    async function sendBatch() {
+      sending = true;
+      try {
+        const accepted = await sendFilesOverRTC(files, rtc.getDataChannel(), {
+          ...rtc.getSendOptions(),
+          onDecision: (indexes) => {
+            log(`📋 Receiver accepted ${indexes.length} of ${files.length} file(s)`);
+          },
+          onProgress: (index, bytesSent) => {
+            const file = files[index];
+            progress.update(file.name, bytesSent, file.size);
+            if (bytesSent === file.size) {
+              progress.clear();
+              log(`⬆️ ${getRelativePath(file)}`);
+            }
+          }
+        });
+
+        if (accepted.length === 0) {
+          finish(EXIT_DECLINED, "🚫 The receiver declined every file");
+          return;
+        }
+        expected = accepted.map((i) => getTransferId(files[i]));
+        // An older receiver never confirms; having sent it all is the best we know
+        if (!rtc.getProtocol()?.capabilities.includes("ack")) {
+          finish(EXIT_OK, `✅ Sent ${expected.length} file(s)`);
+          return;
+        }
+        verifyTimer = setTimeout(
+          () => finish(EXIT_FAILED, "❌ The receiver did not confirm the files"),
+          VERIFY_TIMEOUT_MS
+        );
+        checkVerified();
+      } catch (err) {
+        if (rtc.isClosed()) return;
+        progress.clear();
+        log("🔁 Connection lost, waiting for the receiver to reconnect...");
+      } finally {
+        sending = false;
+      }
+    }
+
+    rtc = createWebRTCConnection(socket, code, false, {
+      onManifest: () => [],
+      onChannelOpen: () => {
+        log("🟢 Receiver connected");
+        if (!sending && !expected) sendBatch();
+      },
+      onVerified: (transferId) => {
+        verified.add(transferId);
+        checkVerified();
+      },
+      onStateChange: (state) => {
+        if (state === "disconnected") log("⚠️ Connection interrupted, reconnecting...");
+      },
+      onError: (err) => {
+        if (err instanceof PairingError && err.reason === "mismatch") {
+          finish(EXIT_FAILED, "❌ A device joined but could not verify the code, so the code was cancelled");
+        } else if (err instanceof PairingError) {
+          log("⚠️ A device joined but the connection dropped before it was verified");
+        }
+        if (err instanceof ProtocolError) finish(EXIT_FAILED, `❌ ${err.message}`);
+      },
+      onControl: (action, by) => {
+        if (by !== "peer") return;
+        if (action === "cancel") finish(EXIT_DECLINED, "🚫 The receiver cancelled the transfer");
+        if (action === "end" && !expected) finish(EXIT_FAILED, "❌ The receiver ended the session");
+      },
+      onPeerLeft: () => log("⏳ The receiver left; waiting for it to come back...")
+    }, iceConfig, { channels: options.channels, token: room.token, password: options.password });
+
+    socket.on("room-expired", () => finish(EXIT_FAILED, "❌ Nobody entered the code in time"));
+    socket.on("room-closed", () => finish(EXIT_FAILED, "❌ The session was closed by the server"));
+  });
+}
+
+// ---------- RECEIVE ----------
+
+async function receive(arg, options) {
+  const code = readCode(arg);
+  if (!parsePairingCode(code)) {
+    log("❌ Not a valid code, e.g. 123456-7890 or 482913-tiger-orbit-lamp");
+    return EXIT_USAGE;
+  }
+
+  const socket = io(options.server);
+  const iceConfig = await fetchIceConfig(options.server, options.relay);
+
+  return new Promise((resolve) => {
+    const progress = createProgress();
+    let expected = null; // the batch's transferIds
+    const received = new Set();
+    let rtc = null;
+    let finished = false;
+    let complete = null; // the success message, once every file is in
+    let hangUpTimer = null;
+
+    async function finish(exitCode, message) {
+      if (finished) return;
+      finished = true;
+      clearTimeout(pairingTimer);
+      clearTimeout(hangUpTimer);
+      progress.clear();
+      if (message) log(message);
+      await hangUp(rtc, exitCode === EXIT_OK);
+      socket.disconnect();
+      resolve(exitCode);
+    }
+
+    // Only the first connection counts; later drops reconnect by themselves
+    const onUnreachable = (err) => finish(EXIT_FAILED, `❌ Cannot reach the server: ${err.message}`);
+    socket.once("connect_error", onUnreachable);
+    socket.once("connect", () => socket.off("connect_error", onUnreachable));
+    const pairingTimer = setTimeout(
+      () => finish(EXIT_FAILED, "❌ Could not get through to the sender in time"),
+      PAIRING_TIMEOUT_MS
+    );
+
+    // The acks only surely reach the sender while the connection is up, so
+    // once everything is in the sender hangs up first; its "end", the
+    // connection dropping or the timeout all mean we are done
+    function completed(message) {
+      complete = message;
+      hangUpTimer = setTimeout(() => finish(EXIT_OK, complete), HANG_UP_TIMEOUT_MS);
+    }
+
+    rtc = createWebRTCConnection(socket, code, true, {
+      onManifest: (files) => {
+        const total = files.reduce((sum, file) => sum + file.size, 0);
+        log(`📋 ${files.length} file(s), ${(total / (1024 * 1024)).toFixed(2)} MB`);
+        expected = files.map((file) => file.transferId);
+        if (expected.length === 0) finish(EXIT_OK, "✅ Nothing to receive");
+        return expected;
+      },
+      chooseSink: (meta) => createDiskSink(options.out, meta, (saved) => {
+        progress.clear();
+        log(`⬇️ ${saved}`);
+      }),
+      onProgress: (percent, bytesReceived, totalSize, meta) => {
+        progress.update(meta.filename, bytesReceived, totalSize);
+      },
+      onFileReceived: (meta) => {
+        received.add(meta.transferId);
+        if (expected.every((id) => received.has(id))) {
+          completed(`✅ Received ${received.size} file(s), all verified`);
+        }
+      },
+      onMessage: (message) => {
+        if (message.text) log(`💬 ${message.text}`);
+      },
+      onChannelOpen: () => {
+        clearTimeout(pairingTimer);
+        log("🟢 Connected to the sender");
+      },
+      onStateChange: (state) => {
+        if (complete && ["disconnected", "failed", "closed"].includes(state)) {
+          finish(EXIT_OK, complete);
+          return;
+        }
+        if (state === "disconnected") log("⚠️ Connection interrupted, reconnecting...");
+        if (state === "failed") log("⚠️ Connection failed, starting over...");
+      },
+      onError: (err) => {
+        if (err instanceof IntegrityError) finish(EXIT_FAILED, `❌ Corrupted transfer: ${err.message}`);
+        if (err instanceof PairingError) {
+          finish(EXIT_FAILED, err.reason === "password-required"
+            ? "❌ This code needs the sender's password (--password)"
+            : "❌ Could not verify the sender; check the code and password");
+        }
+        if (err instanceof ProtocolError) finish(EXIT_FAILED, `❌ ${err.message}`);
+      },
+      onControl: (action, by) => {
+        if (by !== "peer") return;
+        if (complete && action === "end") finish(EXIT_OK, complete);
+        if (action === "cancel") finish(EXIT_DECLINED, "🚫 The sender cancelled the transfer");
+        if (action === "end") finish(EXIT_FAILED, "❌ The sender ended the session");
+      },
+      onPeerLeft: () => {
+        if (complete) finish(EXIT_OK, complete);
+        else finish(EXIT_FAILED, "❌ The sender left the session");
+      }
+    }, iceConfig, { channels: options.channels, password: options.password });
+
+    socket.on("room-error", (err) => {
+      finish(EXIT_FAILED, `❌ ${err.reason === "not-found" ? "No such code" : err.message}`);
+    });
+    socket.on("room-closed", () => finish(EXIT_FAILED, "❌ The session was closed by the server"));
+  });
+}
+
+// ---------- MAIN ----------
+
+async function main() {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      allowPositionals: true,
+      options: {
+        server: { type: "string", default: process.env.SIGNALING_URL || "http://localhost:5000" },
+        out: { type: "string", default: "." },
+        channels: { type: "string", default: "1" },
+        words: { type: "boolean", default: false },
+        once: { type: "boolean", default: false },
+        expires: { type: "string", default: "5" },
+        password: { type: "string", default: process.env.SEND_LITE_PASSWORD || "" },
+        relay: { type: "boolean", default: false },
+        verbose: { type: "boolean", default: false },
+        help: { type: "boolean", short: "h", default: false }
+      }
+    });
+  } catch (err) {
+    log(`${err.message}\n${USAGE}`);
+    return EXIT_USAGE;
+  }
+
+  const { values, positionals: [command, ...args] } = parsed;
+
+  // webrtc.js narrates each step with console.log; stdout is kept for the
+  // code, so that goes to stderr, and only with --verbose
+  console.log = values.verbose ? console.error : () => {};
+  const channels = Number(values.channels);
+  const expires = Number(values.expires);
+  const options = {
+    ...values,
+    server: values.server.replace(/\/+$/, ""),
+    channels: Number.isInteger(channels) ? Math.max(1, Math.min(channels, 8)) : 1,
+    // The server keeps it within a minute and a day too
+    expires: expires > 0 ? Math.max(1, Math.min(expires, 1440)) : 5
+  };
+
+  if (values.help) {
+    log(USAGE);
+    return EXIT_OK;
+  }
+  if (command === "send" && args.length > 0) return send(args, options);
+  if (command === "receive" && args.length === 1) return receive(args[0], options);
+
+  log(USAGE);
+  return EXIT_USAGE;
+}
+
+main()
+  .then((code) => process.exit(code))
+  .catch((err) => {
+    log(`❌ ${err.message}`);
+    process.exit(EXIT_FAILED);
+  });
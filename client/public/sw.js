@@ -1,62 +1,184 @@
-const CACHE_NAME = 'send-anywhere-lite-v1';
-const urlsToCache = [
-  '/',
-  '/index.html',
-  '/manifest.json',
-  '/styles.css'
-];
+// The app shell is precached under a cache named after the build, so a
+// deploy that changes anything installs a new worker with a fresh cache.
+// The new worker waits until the page accepts the update (see pwa.js); the
+// old cache goes once it takes over. Replaced at build time by the
+// precache plugin in vite.config.js:
+const PRECACHE = { version: 'dev', urls: [] };
+const CACHE_PREFIX = 'send-anywhere-lite-';
+const CACHE_NAME = CACHE_PREFIX + PRECACHE.version;
+// The worker from before versioned caches, whose pages can't prompt
+const LEGACY_CACHE = CACHE_PREFIX + 'v1';
 
 self.addEventListener('install', (event) => {
-  event.waitUntil(
-    caches.open(CACHE_NAME).then((cache) => {
-      return cache.addAll(urlsToCache).catch(() => {
-        console.log('Some assets could not be cached');
-      });
-    })
-  );
-  self.skipWaiting();
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE_NAME);
+    await cache.addAll(PRECACHE.urls);
+    if (await caches.has(LEGACY_CACHE)) {
+      self.skipWaiting();
+    }
+  })());
 });
 
 self.addEventListener('activate', (event) => {
-  event.waitUntil(
-    caches.keys().then((cacheNames) => {
-      return Promise.all(
-        cacheNames.map((cacheName) => {
-          if (cacheName !== CACHE_NAME) {
-            return caches.delete(cacheName);
+  event.waitUntil((async () => {
+    const cacheNames = await caches.keys();
+    await Promise.all(
+      cacheNames
+        .filter((name) => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+        .map((name) => caches.delete(name))
+    );
+    await self.clients.claim();
+  })());
+});
+
+// Streamed downloads: the page registers a download with a MessagePort,
+// then loads /__download/<id> in a hidden frame. Chunks posted to the port
+// become the body of that response, so large files never sit in memory.
+// A reloaded page can hand over a new port ({ resume: true }) and carry on
+// where the download got to, while this worker still has it.
+const downloads = new Map();
+
+self.addEventListener('message', (event) => {
+  const msg = event.data;
+  if (msg && msg.type === 'skip-waiting') {
+    self.skipWaiting();
+    return;
+  }
+  if (!msg || msg.type !== 'download') {
+    return;
+  }
+
+  const port = event.ports[0];
+  if (msg.resume) {
+    const download = downloads.get(msg.id);
+    if (!download) {
+      port.postMessage({ ready: false });
+      return;
+    }
+    download.attach(port);
+    port.postMessage({ ready: true, bytes: download.bytes });
+    return;
+  }
+
+  const download = {
+    filename: msg.filename,
+    size: msg.size,
+    mime: msg.mime,
+    bytes: 0,
+    served: false
+  };
+  download.stream = new ReadableStream({
+    start(controller) {
+      download.attach = (from) => {
+        from.onmessage = ({ data }) => {
+          if (data.chunk) {
+            download.bytes += data.chunk.byteLength;
+            controller.enqueue(new Uint8Array(data.chunk));
+          } else if (data.done) {
+            downloads.delete(msg.id);
+            controller.close();
+          } else if (data.abort) {
+            downloads.delete(msg.id);
+            controller.error(new Error('Transfer aborted'));
           }
-        })
-      );
-    })
-  );
-  self.clients.claim();
+        };
+      };
+    },
+    cancel() {
+      downloads.delete(msg.id);
+    }
+  });
+
+  download.attach(port);
+  downloads.set(msg.id, download);
+  port.postMessage({ ready: true, bytes: 0 });
 });
 
+function respondWithDownload(event, id) {
+  const download = downloads.get(id);
+  if (!download || download.served) {
+    return false;
+  }
+
+  download.served = true;
+  event.respondWith(new Response(download.stream, {
+    headers: {
+      'Content-Type': download.mime || 'application/octet-stream',
+      'Content-Length': String(download.size),
+      'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(download.filename)}`
+    }
+  }));
+  return true;
+}
+
+// Files shared to the app from the system share sheet (share_target in
+// manifest.json) arrive as a POST. They are kept in IndexedDB under an id,
+// and the page is opened with ?share=<id> to pick them up (see share.js).
+const SHARE_DB = 'send-anywhere-lite-share';
+const SHARE_STORE = 'shares';
+
+function openShareDB() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(SHARE_DB, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(SHARE_STORE);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function receiveShare(request) {
+  try {
+    const form = await request.formData();
+    const files = form.getAll('files').filter((file) => file instanceof File);
+    const id = crypto.randomUUID();
+
+    const db = await openShareDB();
+    await new Promise((resolve, reject) => {
+      const tx = db.transaction(SHARE_STORE, 'readwrite');
+      tx.objectStore(SHARE_STORE).put(files, id);
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+    });
+    return Response.redirect(`/?share=${id}`, 303);
+  } catch (err) {
+    console.log('Could not receive shared files', err);
+    return Response.redirect('/?mode=send', 303);
+  }
+}
+
 self.addEventListener('fetch', (event) => {
+  const url = new URL(event.request.url);
+  if (url.origin !== self.location.origin) {
+    return;
+  }
+
+  if (event.request.method === 'POST' && url.pathname === '/share-target') {
+    event.respondWith(receiveShare(event.request));
+    return;
+  }
   if (event.request.method !== 'GET') {
     return;
   }
 
+  if (url.pathname.startsWith('/__download/') &&
+      respondWithDownload(event, url.pathname.slice('/__download/'.length))) {
+    return;
+  }
+
+  // Every page is the app; without a precached shell (in dev) it comes
+  // from the network
+  if (event.request.mode === 'navigate') {
+    event.respondWith(
+      caches.match('/index.html', { cacheName: CACHE_NAME })
+        .then((response) => response || fetch(event.request))
+    );
+    return;
+  }
+
+  // Precached assets never change under the same name; anything else
+  // (the signaling server's endpoints included) goes to the network
   event.respondWith(
-    caches.match(event.request).then((response) => {
-      if (response) {
-        return response;
-      }
-
-      return fetch(event.request).then((response) => {
-        if (!response || response.status !== 200 || response.type !== 'basic') {
-          return response;
-        }
-
-        const responseToCache = response.clone();
-        caches.open(CACHE_NAME).then((cache) => {
-          cache.put(event.request, responseToCache);
-        });
-
-        return response;
-      }).catch(() => {
-        return caches.match('/index.html');
-      });
-    })
+    caches.match(event.request, { cacheName: CACHE_NAME })
+      .then((response) => response || fetch(event.request))
   );
 });
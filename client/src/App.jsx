@@ -1,7 +1,51 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useRef } from "react";
 import JSZip from "jszip";
-import { initSignaling } from "./Signaling";
-import { createWebRTCConnection, sendFileOverRTC } from "./webrtc";
+import {
+  initSignaling,
+  createRoom,
+  fetchIceConfig,
+  joinPresence,
+  inviteNearby,
+  declineInvite
+} from "./Signaling";
+import {
+  createWebRTCConnection,
+  sendFilesOverRTC,
+  sendMessageOverRTC,
+  getTransferId
+} from "./webrtc";
+import { IntegrityError } from "./integrity";
+import { ProtocolError } from "./protocol";
+import {
+  generatePairingSecret,
+  formatPairingCode,
+  parsePairingCode,
+  PairingError
+} from "./pake";
+import {
+  canPickSaveFile,
+  createFileSink,
+  createDirectorySink,
+  createSink,
+  createStoreSink
+} from "./sinks";
+import { createTextMessage, createImageMessage, MAX_TEXT_LENGTH } from "./messages";
+import { createPairingLink, readPairingLink, createQrDataUrl, startQrScanner } from "./qr";
+import { readShareId, takeSharedFiles } from "./share";
+import { onUpdateAvailable, applyUpdate } from "./pwa";
+import { getNearbySettings, saveNearbySettings } from "./nearby";
+import { getRelativePath, filesFromDataTransfer, uniquePath } from "./folders";
+import {
+  listHistory,
+  recordHistory,
+  markVerified,
+  clearHistory,
+  getStoredFile,
+  getBatchFiles,
+  getStoredBytes,
+  getHistorySettings,
+  saveHistorySettings
+} from "./history";
 
 const statusMessages = {
   "idle": "Ready to start",
@@ -12,7 +56,15 @@ const statusMessages = {
   "sending": "Sending file...",
   "receiving": "Receiving file...",
   "sent": "File sent successfully!",
-  "received": "File received successfully!"
+  "received": "File received successfully!",
+  "reviewing": "Review the incoming files",
+  "awaiting-decision": "Waiting for receiver to accept files...",
+  "declined": "Files were declined",
+  "cancelled": "Transfer cancelled",
+  "corrupted": "Transfer corrupted: file discarded",
+  "broadcasting": "Sending to every receiver that joins",
+  "reconnecting": "Connection lost, reconnecting...",
+  "ended": "Session ended"
 };
 
 const statusColors = {
@@ -24,33 +76,213 @@ const statusColors = {
   "sending": "bg-purple-50",
   "receiving": "bg-purple-50",
   "sent": "bg-green-50",
-  "received": "bg-green-50"
+  "received": "bg-green-50",
+  "reviewing": "bg-yellow-50",
+  "awaiting-decision": "bg-yellow-50",
+  "declined": "bg-gray-100",
+  "cancelled": "bg-gray-100",
+  "corrupted": "bg-red-50",
+  "broadcasting": "bg-purple-50",
+  "reconnecting": "bg-yellow-50",
+  "ended": "bg-gray-100"
 };
 
+// Where each receiver of a broadcast stands
+const recipientMessages = {
+  "connected": "Connected",
+  "awaiting-decision": "Reviewing files",
+  "sending": "Receiving",
+  "sent": "Done",
+  "declined": "Declined",
+  "reconnecting": "Reconnecting...",
+  "cancelled": "Cancelled",
+  "disconnected": "Left",
+  "outdated": "Needs an update"
+};
+
+// Parallel DataChannels per connection: "?channels=4" or VITE_DATA_CHANNELS
+const DATA_CHANNELS = (() => {
+  const requested = Number(
+    new URLSearchParams(window.location.search).get("channels") ||
+    import.meta.env.VITE_DATA_CHANNELS ||
+    1
+  );
+  return Number.isInteger(requested) ? Math.max(1, Math.min(requested, 8)) : 1;
+})();
+
+// Long enough for a numeric or word code, with room for stray spaces
+const MAX_CODE_LENGTH = 40;
+
+// Code expiry choices, in minutes; the server takes 1 min to 24 h
+const CODE_EXPIRY = [1, 5, 15, 60, 240, 1440];
+const DEFAULT_CODE_OPTIONS = { words: false, oneTime: false, password: "", ttlMinutes: 5 };
+
+// Bytes per second, smoothed so the ETA doesn't jump with every chunk
+function createRateMeter() {
+  let last = null;
+  let rate = 0;
+
+  return {
+    update(bytes) {
+      const now = performance.now();
+      if (!last || bytes < last.bytes) {
+        last = { bytes, time: now };
+        rate = 0;
+        return rate;
+      }
+
+      const elapsed = (now - last.time) / 1000;
+      if (elapsed < 0.5) return rate;
+
+      const current = (bytes - last.bytes) / elapsed;
+      rate = rate ? rate * 0.7 + current * 0.3 : current;
+      last = { bytes, time: now };
+      return rate;
+    },
+    reset() {
+      last = null;
+      rate = 0;
+    }
+  };
+}
+
+function formatEta(seconds) {
+  const total = Math.ceil(seconds);
+  if (total >= 3600) {
+    return `${Math.floor(total / 3600)}:${String(Math.floor(total / 60) % 60).padStart(2, "0")}:${String(total % 60).padStart(2, "0")}`;
+  }
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, "0")}`;
+}
+
+// The peer connection's state, from onStateChange in webrtc.js
+const connectionMessages = {
+  "new": "Starting...",
+  "signaling": "Verifying the code...",
+  "checking": "Finding a route...",
+  "connected": "Connected",
+  "disconnected": "Interrupted, reconnecting...",
+  "failed": "Failed"
+};
+
+const CONNECTION_FAILED =
+  "Connection failed: the devices can't reach each other. Check both networks; it will keep trying.";
+
+function newReceiveState(bundle) {
+  return {
+    // Groups the batch's files in history
+    batchId: crypto.randomUUID(),
+    manifest: [],
+    accepted: null,
+    resolveDecision: null,
+    done: new Set(),
+    blobs: [],
+    // transferId -> bytes received, for the transfer rate
+    received: new Map(),
+    // transferId -> when its first chunk came in, for history
+    started: new Map(),
+    bundle,
+    // Folder batches: the directory picked to rebuild the tree in, or a zip
+    hasFolders: false,
+    directory: null
+  };
+}
+
 export default function App() {
   const [mode, setMode] = useState(null);
   const [code, setCode] = useState("");
   const [files, setFiles] = useState([]);
   const [status, setStatus] = useState("idle");
-  const [progress, setProgress] = useState(0);
   const [rtc, setRTC] = useState(null);
   const [error, setError] = useState("");
   const [transferredBytes, setTransferredBytes] = useState(0);
   const [totalBytes, setTotalBytes] = useState(0);
-  const [timeoutId, setTimeoutId] = useState(null);
-  const [isReadyToSend, setIsReadyToSend] = useState(false);
+  // True while a verified DataChannel is up; queued files go out then
+  const [channelReady, setChannelReady] = useState(false);
+  // The outgoing batch in flight; `files` holds what is queued behind it
+  const [batch, setBatch] = useState(null);
+  const sendingRef = useRef(false);
   const [toast, setToast] = useState(null);
+  // A new version of the app is installed and waiting for a reload
+  const [updateReady, setUpdateReady] = useState(false);
+  // Other devices on this network or in our team room: [{ peerId, name }]
+  const [nearby, setNearby] = useState([]);
+  const [nearbySettings, setNearbySettings] = useState(getNearbySettings);
+  // A nearby device asking to send to us: { from, name, room }
+  const [invite, setInvite] = useState(null);
+  // Name of the device whose invite we accepted, while its code is typed in
+  const [invitedBy, setInvitedBy] = useState(null);
+  // The nearby device we asked to receive: { peerId, name, declined }
+  const [invitee, setInvitee] = useState(null);
+  // Signaling socket for nearby devices, open while this one is visible
+  const presenceRef = useRef(null);
+  const inviteRef = useRef(null);
+  const modeRef = useRef(null);
   const [timeRemaining, setTimeRemaining] = useState(0);
   const [timerIntervalId, setTimerIntervalId] = useState(null);
-
-  function generateCode() {
-    return Math.floor(100000 + Math.random() * 900000).toString();
-  }
+  // Bytes sent so far for each file of the batch, by index
+  const [fileProgress, setFileProgress] = useState([]);
+  // Indexes of batch files the other side declined
+  const [declined, setDeclined] = useState([]);
+  // Files announced by the other side's manifest, with bytes received so far
+  const [incoming, setIncoming] = useState([]);
+  const [incomingStatus, setIncomingStatus] = useState(null);
+  // Everything sent and received since pairing, oldest first
+  const [history, setHistory] = useState([]);
+  // The history screen: entries kept across sessions (see history.js)
+  const [savedHistory, setSavedHistory] = useState([]);
+  const [historySettings, setHistorySettings] = useState(getHistorySettings);
+  const [storedBytes, setStoredBytes] = useState(0);
+  // Room part of the pairing code, recorded as the peer in history
+  const peerRef = useRef(null);
+  // Sent files the other side confirmed before they made it into history
+  const verifiedRef = useRef(new Set());
+  const historyWrites = useRef(Promise.resolve());
+  // Batch -> { started, finished } times of its files, for history; kept
+  // across a reconnect
+  const sendTimes = useRef(new WeakMap());
+  // Text, links and images exchanged inline, oldest first
+  const [messages, setMessages] = useState([]);
+  const [draft, setDraft] = useState("");
+  // Link and QR code that open the receive screen with our code filled in
+  const [pairingLink, setPairingLink] = useState("");
+  const [qrCode, setQrCode] = useState(null);
+  const [scanning, setScanning] = useState(false);
+  const videoRef = useRef(null);
+  const [dragging, setDragging] = useState(false);
+  const [bundleZip, setBundleZip] = useState(false);
+  // RTC callbacks outlive renders, so they read receive state through a ref
+  const receiveRef = useRef(newReceiveState(false));
+  const sendMeter = useRef(createRateMeter());
+  const receiveMeter = useRef(createRateMeter());
+  const [sendRate, setSendRate] = useState(0);
+  const [receiveRate, setReceiveRate] = useState(0);
+  // A large incoming file waiting for the user to pick where to save it
+  const [saveRequest, setSaveRequest] = useState(null);
+  // "direct" or "relayed" once the peer connection is verified
+  const [route, setRoute] = useState(null);
+  // Where the peer connection stands (see connectionMessages)
+  const [connection, setConnection] = useState(null);
+  // Who paused the running transfer: "self", "peer" or null
+  const [paused, setPaused] = useState(null);
+  // Broadcast mode: one code, many receivers, each tracked separately
+  const [broadcast, setBroadcast] = useState(false);
+  // How the next code is made: { words, oneTime, password, ttlMinutes }
+  const [codeOptions, setCodeOptions] = useState(DEFAULT_CODE_OPTIONS);
+  // The sender's password, if the code we are joining needs one
+  const [receivePassword, setReceivePassword] = useState("");
+  const [recipients, setRecipients] = useState([]);
 
   function clearError() {
     setError("");
   }
 
+  // A failed connection stays on screen until it comes back
+  function handleStateChange(state) {
+    setConnection(state);
+    if (state === "failed") setError(CONNECTION_FAILED);
+    if (state === "connected") setError((prev) => (prev === CONNECTION_FAILED ? "" : prev));
+  }
+
   function showToast(message) {
     setToast(message);
     setTimeout(() => setToast(null), 3000);
@@ -62,124 +294,571 @@ export default function App() {
     clearError();
   }
 
+  // Dropped folders are walked so every file keeps its relative path
+  async function handleDrop(e) {
+    e.preventDefault();
+    setDragging(false);
+    try {
+      const dropped = await filesFromDataTransfer(e.dataTransfer);
+      setFiles((prevFiles) => [...prevFiles, ...dropped]);
+      clearError();
+    } catch (err) {
+      setError("Could not read the dropped files: " + err.message);
+    }
+  }
+
   function deleteFile(index) {
     setFiles((prevFiles) => prevFiles.filter((_, i) => i !== index));
   }
 
-  async function createZipFile() {
-    if (files.length === 0) {
-      setError("Please select at least one file");
-      return null;
+  // items: [{ batchId, index, transferId, filename, type, size,
+  //           outcome: "done" | "declined", duration, verified, file }]
+  // Recorded in history.js, with the file if the settings say so, then
+  // shown for this session. Writes go one at a time so a confirmation
+  // from the other side always finds the entry it belongs to.
+  function addHistory(direction, items) {
+    const time = Date.now();
+    const entries = items.map((item) => ({ ...item, direction, time, peer: peerRef.current }));
+
+    historyWrites.current = historyWrites.current
+      .then(() => {
+        entries.forEach((entry) => {
+          if (entry.direction === "sent" && verifiedRef.current.delete(entry.transferId)) {
+            entry.verified = true;
+          }
+        });
+        return recordHistory(entries);
+      })
+      .catch((err) => {
+        console.warn("⚠️ Could not save history", err);
+        return entries.map(({ file, ...entry }) => entry);
+      })
+      .then((recorded) => setHistory((prev) => [...prev, ...recorded]));
+  }
+
+  function addSentHistory(filesToSend, accepted, { started, finished }) {
+    const batchId = crypto.randomUUID();
+    addHistory("sent", filesToSend.map((file, i) => ({
+      batchId,
+      index: i,
+      transferId: getTransferId(file),
+      filename: getRelativePath(file),
+      type: file.type,
+      size: file.size,
+      outcome: accepted.includes(i) ? "done" : "declined",
+      duration: started[i] ? (finished[i] || Date.now()) - started[i] : 0,
+      verified: false,
+      file
+    })));
+  }
+
+  // The other side checked a file we sent against its SHA-256. It may get
+  // here before the file is in history; then it is applied on the way in.
+  function handleVerified(transferId) {
+    historyWrites.current = historyWrites.current
+      .then(() => markVerified(transferId))
+      .then((entry) => {
+        if (!entry) {
+          verifiedRef.current.add(transferId);
+          return;
+        }
+        setHistory((prev) => prev.map((item) => (item.id === entry.id ? entry : item)));
+      })
+      .catch((err) => console.warn("⚠️ Could not update history", err));
+  }
+
+  // A message too large for one DataChannel message goes in the send queue
+  // as `file` (by default, its text as a .txt file) instead
+  async function sendMessage(message, file) {
+    try {
+      // The other side drops text longer than MAX_TEXT_LENGTH
+      const sent = !(message.text && message.text.length > MAX_TEXT_LENGTH) &&
+        await sendMessageOverRTC(message, rtc.getDataChannel(), {
+          key: rtc.getSessionKey(),
+          maxMessageSize: rtc.getSendOptions().maxMessageSize
+        });
+      if (!sent) {
+        setFiles((prev) => [...prev, file || new File([message.text], "message.txt", { type: "text/plain" })]);
+        showToast("Too large to send as a message; added to the queue as a file");
+        return true;
+      }
+      setMessages((prev) => [...prev, { ...message, direction: "sent" }]);
+      return true;
+    } catch (err) {
+      setError("Could not send message: " + err.message);
+      return false;
+    }
+  }
+
+  async function handleSendText() {
+    if (!draft.trim()) return;
+    if (await sendMessage(createTextMessage(draft))) setDraft("");
+  }
+
+  // Small images show up inline on the other side; bigger ones are queued
+  // as a regular file
+  async function sendImage(blob) {
+    const extension = blob.type.split("/")[1] || "png";
+    const file = new File([blob], `pasted-image.${extension}`, { type: blob.type });
+    const message = await createImageMessage(blob);
+    if (message) {
+      await sendMessage(message, file);
+      return;
+    }
+
+    setFiles((prev) => [...prev, file]);
+    showToast("Image is too large to show inline; sending it as a file");
+  }
+
+  function handlePaste(e) {
+    const item = [...e.clipboardData.items].find((i) => i.type.startsWith("image/"));
+    if (!item) return;
+    e.preventDefault();
+    sendImage(item.getAsFile());
+  }
+
+  // Send whatever is on the clipboard: an image if there is one, else text
+  async function handlePasteClipboard() {
+    try {
+      if (navigator.clipboard.read) {
+        for (const item of await navigator.clipboard.read()) {
+          const type = item.types.find((t) => t.startsWith("image/"));
+          if (type) {
+            await sendImage(await item.getType(type));
+            return;
+          }
+        }
+      }
+
+      const text = await navigator.clipboard.readText();
+      if (text.trim()) await sendMessage(createTextMessage(text));
+    } catch (err) {
+      setError("Could not read the clipboard: " + err.message);
+    }
+  }
+
+  function copyText(text) {
+    navigator.clipboard.writeText(text);
+    showToast("Copied");
+  }
+
+  // The peer runs an incompatible version, or reported an error of its own.
+  // One outdated receiver of a broadcast doesn't stop the others.
+  function handleProtocolError(err, rtcObj, { broadcast = false, peerId } = {}) {
+    if (err.code === "integrity") {
+      setError(err.message + ". The other device discarded it; send it again.");
+      return;
+    }
+
+    setError(err.message);
+    if (!["outdated-peer", "outdated-self"].includes(err.code)) return;
+    if (broadcast) {
+      updateRecipient(peerId, { status: "outdated" });
+      return;
+    }
+    setStatus("ended");
+    setChannelReady(false);
+    rtcObj.close();
+  }
+
+  // Pause, resume, cancel and end from either end of the connection
+  function handleControl(action, by) {
+    if (action === "pause") setPaused(by);
+    if (action === "resume") setPaused(null);
+    if (action === "cancel") {
+      setPaused(null);
+      setStatus("cancelled");
+      setIncomingStatus((prev) => (prev === "received" ? prev : null));
+      setError(by === "peer" ? "The other device cancelled the transfer" : "");
+    }
+    if (action === "end" && by === "peer") {
+      setStatus("ended");
+      setError("The other device ended the session");
+    }
+  }
+
+  // Update one broadcast receiver, adding it on first sight. `patch` may be
+  // a function of the current entry.
+  function updateRecipient(peerId, patch) {
+    setRecipients((prev) => {
+      const existing = prev.find((r) => r.peerId === peerId);
+      const base = existing ||
+        { peerId, status: "connected", sent: 0, total: 0, route: null, paused: false };
+      const next = { ...base, ...(typeof patch === "function" ? patch(base) : patch) };
+      return existing
+        ? prev.map((r) => (r.peerId === peerId ? next : r))
+        : [...prev, next];
+    });
+  }
+
+  function handleRecipientControl(action, by, peerId) {
+    if (by === "self") {
+      handleControl(action, by);
+      return;
     }
+    if (action === "pause") updateRecipient(peerId, { paused: true });
+    if (action === "resume") updateRecipient(peerId, { paused: false });
+    if (action === "cancel") updateRecipient(peerId, { status: "cancelled", paused: false });
+  }
+
+  function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
 
+  // Receiver opted to bundle: zip the received files locally
+  async function downloadAsZip(received) {
     try {
       const zip = new JSZip();
-      
-      for (const file of files) {
-        const arrayBuffer = await file.arrayBuffer();
-        zip.file(file.name, arrayBuffer);
+      const taken = new Set();
+
+      for (const { meta, blob } of received) {
+        zip.file(uniquePath(meta.path, taken), blob);
       }
 
       const zipBlob = await zip.generateAsync({ type: "blob" });
-      const zipFile = new File([zipBlob], "files.zip", { type: "application/zip" });
-      return zipFile;
+      downloadBlob(zipBlob, "files.zip");
     } catch (err) {
       setError("Error creating zip file: " + err.message);
-      return null;
     }
   }
 
+  // Bundling only makes sense for more than one file, and needs the
+  // files back as Blobs rather than streamed to disk. A folder with nowhere
+  // to rebuild it is always zipped, since downloads cannot create folders.
+  function isBundling() {
+    const { accepted, bundle, hasFolders, directory } = receiveRef.current;
+    if (accepted === null || directory) return false;
+    return hasFolders || (bundle && accepted.length > 1);
+  }
+
+  // Either side of a session receives through these: the other side
+  // announces a batch, the user accepts or declines it, files come in
+  function receiveHandlers() {
+    return {
+      onManifest: (manifest) => {
+        const state = receiveRef.current;
+        const ids = (list) => list.map((f) => f.transferId).join("|");
+        const unfinished = state.accepted && !state.accepted.every((id) => state.done.has(id));
+
+        // A reconnect re-announces the same batch; keep its progress and
+        // answer with the decision the user already made
+        if (ids(manifest) === ids(state.manifest) && unfinished) {
+          setIncomingStatus("receiving");
+          return state.accepted;
+        }
+
+        Object.assign(state, newReceiveState(state.bundle), { manifest });
+        receiveMeter.current.reset();
+        setReceiveRate(0);
+        setIncoming(manifest.map((f) => ({ ...f, received: 0, done: false, decision: null })));
+        setIncomingStatus("reviewing");
+
+        return new Promise((resolve) => {
+          state.resolveDecision = resolve;
+        });
+      },
+      onFileReceived: async (meta, blob) => {
+        const state = receiveRef.current;
+        state.done.add(meta.transferId);
+        setIncoming((prev) => prev.map((f) =>
+          f.transferId === meta.transferId ? { ...f, received: f.size, done: true } : f
+        ));
+        const started = state.started.get(meta.transferId);
+        addHistory("received", [{
+          batchId: state.batchId,
+          index: state.manifest.findIndex((f) => f.transferId === meta.transferId),
+          transferId: meta.transferId,
+          filename: meta.path,
+          type: meta.type,
+          size: meta.size,
+          outcome: "done",
+          duration: started ? Date.now() - started : 0,
+          // onFileReceived only fires once the SHA-256 matched
+          verified: true,
+          file: blob
+        }]);
+
+        if (isBundling()) {
+          state.blobs.push({ meta, blob });
+        } else if (blob) {
+          // Streamed files are already on disk; only buffered ones need a download
+          downloadBlob(blob, meta.filename);
+        }
+
+        if (!state.accepted.every((id) => state.done.has(id))) return;
+
+        if (isBundling()) await downloadAsZip(state.blobs);
+        setIncomingStatus("received");
+      },
+      onProgress: (percentComplete, bytesReceived, totalSize, meta) => {
+        const { received, started } = receiveRef.current;
+        received.set(meta.transferId, bytesReceived);
+        if (!started.has(meta.transferId)) started.set(meta.transferId, Date.now());
+        const bytes = [...received.values()].reduce((sum, b) => sum + b, 0);
+        setReceiveRate(receiveMeter.current.update(bytes));
+        setIncoming((prev) => prev.map((f) =>
+          f.transferId === meta.transferId ? { ...f, received: bytesReceived } : f
+        ));
+      },
+      onMessage: (message) => {
+        setMessages((prev) => [...prev, { ...message, direction: "received" }]);
+      },
+      onVerified: handleVerified,
+      chooseSink: (meta) => {
+        const { directory } = receiveRef.current;
+        if (directory) return createDirectorySink(directory, meta);
+        if (isBundling()) return createStoreSink(meta);
+        if (!canPickSaveFile(meta)) return createSink(meta);
+        return new Promise((resolve) => setSaveRequest({ meta, resolve }));
+      }
+    };
+  }
+
   async function startSend() {
     clearError();
-    const newCode = generateCode();
-    setCode(newCode);
+    setCode("");
     setMode("send");
     setStatus("waiting-for-receiver");
-    setProgress(0);
     setTransferredBytes(0);
     setTotalBytes(0);
-    setTimeRemaining(5 * 60);
+    receiveRef.current = newReceiveState(false);
 
     const socket = initSignaling();
 
-    const rtcObj = createWebRTCConnection(
-      socket,
-      newCode,
-      false,
-      null,
-      null,
-      () => {
-        console.log("🟢 Sender channel ready");
-        setStatus("connected");
-        if (timeoutId) clearTimeout(timeoutId);
-        if (timerIntervalId) clearInterval(timerIntervalId);
-        setTimeRemaining(0);
-        setIsReadyToSend(true);
-      }
-    );
-
-    setRTC(rtcObj);
-
-    const timeout = setTimeout(() => {
-      setError("Connection timeout: Receiver did not connect within 5 minutes");
-      setStatus("timeout");
-      rtcObj.pc.close();
+    let room;
+    let iceConfig;
+    try {
+      [room, iceConfig] = await Promise.all([
+        createRoom(socket, {
+          broadcast,
+          oneTime: codeOptions.oneTime,
+          hasPassword: Boolean(codeOptions.password),
+          ttlSeconds: codeOptions.ttlMinutes * 60
+        }),
+        fetchIceConfig()
+      ]);
+    } catch (err) {
+      setError("Could not get a code from the server: " + err.message);
+      setStatus("idle");
       socket.disconnect();
-      if (timerIntervalId) clearInterval(timerIntervalId);
-    }, 5 * 60 * 1000);
+      return;
+    }
+
+    // Counted from what the server says is left, whatever our clock says
+    const deadline = Date.now() + room.expiresIn;
+    const secondsLeft = () => Math.max(0, Math.round((deadline - Date.now()) / 1000));
 
-    setTimeoutId(timeout);
+    // The secret half never goes to the server; it keys the PAKE
+    const pairingCode = formatPairingCode(room.code, generatePairingSecret({ words: codeOptions.words }));
+    setCode(pairingCode);
+    peerRef.current = room.code;
+    if (inviteRef.current && presenceRef.current) {
+      inviteNearby(presenceRef.current, inviteRef.current.peerId, room.code);
+      inviteRef.current = null;
+    }
+    const link = createPairingLink(pairingCode);
+    setPairingLink(link);
+    createQrDataUrl(link).then(setQrCode).catch((err) => {
+      console.warn("⚠️ Could not render QR code", err);
+    });
+    setTimeRemaining(secondsLeft());
 
     const intervalId = setInterval(() => {
-      setTimeRemaining((prev) => {
-        if (prev <= 1) {
-          clearInterval(intervalId);
-          return 0;
-        }
-        return prev - 1;
-      });
+      const remaining = secondsLeft();
+      setTimeRemaining(remaining);
+      if (remaining === 0) clearInterval(intervalId);
     }, 1000);
 
     setTimerIntervalId(intervalId);
+
+    const rtcObj = createWebRTCConnection(socket, pairingCode, false, {
+      // A broadcast only goes one way; anything a receiver offers back is declined
+      ...(broadcast ? { onManifest: () => [], onVerified: handleVerified } : receiveHandlers()),
+      onChannelOpen: (peerId) => {
+        console.log("🟢 Sender channel ready");
+        clearError();
+        clearInterval(intervalId);
+        setTimeRemaining(0);
+        if (broadcast) {
+          setStatus("broadcasting");
+          updateRecipient(peerId, { status: "connected" });
+        } else {
+          setStatus("connected");
+          setChannelReady(true);
+        }
+      },
+      onError: (err, peerId) => {
+        if (err instanceof IntegrityError) {
+          setError("Corrupted transfer: " + err.message + ". Ask the other device to send it again.");
+          setIncomingStatus("corrupted");
+        }
+        if (err instanceof PairingError && err.reason === "mismatch") {
+          // The connection has closed itself, taking the code with it
+          setError(codeOptions.password
+            ? "A device joined but could not verify the code and password, so the code was cancelled. Start again for a new one."
+            : "A device joined but could not verify the code, so the code was cancelled. Start again for a new one.");
+          clearInterval(intervalId);
+          setTimeRemaining(0);
+          setStatus("ended");
+          setChannelReady(false);
+        } else if (err instanceof PairingError) {
+          setError("A device joined but the connection dropped before it was verified. Waiting for the receiver...");
+          if (!broadcast) setStatus("waiting-for-receiver");
+        }
+        if (err instanceof ProtocolError) handleProtocolError(err, rtcObj, { broadcast, peerId });
+      },
+      onStateChange: (state, peerId) => {
+        if (broadcast) updateRecipient(peerId, { connection: state });
+        else handleStateChange(state);
+      },
+      onRoute: (route, peerId) => {
+        if (broadcast) updateRecipient(peerId, { route });
+        else setRoute(route);
+      },
+      onControl: broadcast ? handleRecipientControl : handleControl,
+      onPeerLeft: (peerId) => {
+        if (!broadcast) {
+          // The receiver may come back with the same code and pick up again
+          setChannelReady(false);
+          setStatus("waiting-for-receiver");
+          return;
+        }
+        updateRecipient(peerId, (r) =>
+          ["sent", "declined", "cancelled", "outdated"].includes(r.status) ? {} : { status: "disconnected" }
+        );
+      }
+    }, iceConfig, {
+      broadcast,
+      channels: DATA_CHANNELS,
+      token: room.token,
+      password: codeOptions.password
+    });
+
+    setRTC(rtcObj);
+
+    // The server expires codes nobody joined in time
+    socket.on("room-expired", () => {
+      setError("Connection timeout: Receiver did not connect in time");
+      setStatus("timeout");
+      clearInterval(intervalId);
+      setTimeRemaining(0);
+      rtcObj.close();
+    });
+    socket.on("room-closed", () => closedByServer(rtcObj, intervalId));
   }
 
-  async function performFileSend(fileToSend, rtcObj) {
-    if (!fileToSend || !rtcObj) {
+  async function performFileSend(filesToSend, rtcObj) {
+    if (filesToSend.length === 0 || !rtcObj) {
       return;
     }
 
     const dc = rtcObj.getDataChannel();
 
-    if (!dc) {
+    if (!dc || dc.readyState !== "open") {
       return;
     }
 
-    setTotalBytes(fileToSend.size);
+    let total = 0;
+    const sent = [];
+    const times = sendTimes.current.get(filesToSend) || { started: [], finished: [] };
+    sendTimes.current.set(filesToSend, times);
+
+    sendingRef.current = true;
     setTransferredBytes(0);
+    setFileProgress([]);
+    setDeclined([]);
+    sendMeter.current.reset();
+    setSendRate(0);
+
+    const onDecision = (acceptedIndexes) => {
+      total = acceptedIndexes.reduce((sum, i) => sum + filesToSend[i].size, 0);
+      acceptedIndexes.forEach((i) => { sent[i] = 0; });
+      setTotalBytes(total);
+      setFileProgress([...sent]);
+      setDeclined(filesToSend.map((_, i) => i).filter((i) => !acceptedIndexes.includes(i)));
+      setStatus("sending");
+    };
 
-    const progressCallback = (percentComplete, bytesTransferred) => {
-      setProgress(percentComplete);
+    const onProgress = (index, bytesSent) => {
+      trackSendTime(times, index, bytesSent, filesToSend[index].size);
+      sent[index] = bytesSent;
+      const bytesTransferred = sent.reduce((sum, b) => sum + (b || 0), 0);
+      setFileProgress([...sent]);
       setTransferredBytes(bytesTransferred);
+      setSendRate(sendMeter.current.update(bytesTransferred));
     };
 
-    if (dc.readyState !== "open") {
-      setStatus("waiting-for-connection");
-      dc.onopen = async () => {
-        setStatus("sending");
-        await sendFileOverRTC(fileToSend, dc, progressCallback);
-        setStatus("sent");
-      };
-    } else {
-      setStatus("sending");
-      await sendFileOverRTC(fileToSend, dc, progressCallback);
-      setStatus("sent");
+    setStatus("awaiting-decision");
+    try {
+      const accepted = await sendFilesOverRTC(filesToSend, dc, {
+        ...rtcObj.getSendOptions(),
+        onDecision,
+        onProgress
+      });
+      addSentHistory(filesToSend, accepted, times);
+      sendTimes.current.delete(filesToSend);
+      setStatus(accepted.length > 0 ? "sent" : "declined");
+      setBatch(null);
+    } catch (err) {
+      if (rtcObj.isClosed()) return;
+      // The receiving side re-joins on its own; the batch resumes when the
+      // channel reopens
+      setError("Connection lost: waiting for the other device to reconnect...");
+      setStatus("reconnecting");
+      setChannelReady(false);
+    } finally {
+      sendingRef.current = false;
     }
   }
 
+  // Broadcast: the same batch goes to each receiver over its own connection,
+  // and each one accepts, declines and progresses on its own
+  async function sendToRecipient(filesToSend, rtcObj, peerId) {
+    const dc = rtcObj.getDataChannel(peerId);
+    if (!dc || dc.readyState !== "open") return;
+
+    const sent = [];
+    const times = { started: [], finished: [] };
+    updateRecipient(peerId, { status: "awaiting-decision", sent: 0, total: 0 });
+
+    try {
+      const accepted = await sendFilesOverRTC(filesToSend, dc, {
+        ...rtcObj.getSendOptions(peerId),
+        onDecision: (acceptedIndexes) => {
+          const total = acceptedIndexes.reduce((sum, i) => sum + filesToSend[i].size, 0);
+          updateRecipient(peerId, { status: "sending", total });
+        },
+        onProgress: (index, bytesSent) => {
+          trackSendTime(times, index, bytesSent, filesToSend[index].size);
+          sent[index] = bytesSent;
+          updateRecipient(peerId, { sent: sent.reduce((sum, b) => sum + (b || 0), 0) });
+        }
+      });
+      addSentHistory(filesToSend, accepted, times);
+      updateRecipient(peerId, { status: accepted.length > 0 ? "sent" : "declined" });
+    } catch (err) {
+      if (rtcObj.isClosed()) return;
+      // A receiver that drops re-joins on its own and resumes from there
+      updateRecipient(peerId, (r) =>
+        ["cancelled", "disconnected"].includes(r.status) ? {} : { status: "reconnecting" }
+      );
+    }
+  }
+
+  function trackSendTime({ started, finished }, index, bytesSent, size) {
+    if (!started[index]) started[index] = Date.now();
+    if (bytesSent === size) finished[index] = Date.now();
+  }
+
   async function sendFile() {
     clearError();
-    if (!file) {
-      setError("Please select a file first");
+    if (files.length === 0) {
+      setError("Please select at least one file");
       return;
     }
 
@@ -188,87 +867,927 @@ export default function App() {
       return;
     }
 
-    await performFileSend(file, rtc);
+    await performFileSend(files, rtc);
   }
 
-  async function startReceive() {
+  async function startReceive(pairingCode = code) {
     clearError();
-    if (code.length !== 6) {
-      setError("Please enter a valid 6-digit code");
+    if (!parsePairingCode(pairingCode)) {
+      setError("Please enter a valid code, e.g. 123456-7890 or 482913-tiger-orbit-lamp");
       return;
     }
 
     setMode("receive");
     setStatus("connecting");
-    setProgress(0);
+    peerRef.current = parsePairingCode(pairingCode).room;
     setTransferredBytes(0);
     setTotalBytes(0);
+    setIncoming([]);
+    receiveRef.current = newReceiveState(bundleZip);
 
     const socket = initSignaling();
+    const iceConfig = await fetchIceConfig();
 
-    const rtcObj = createWebRTCConnection(
-      socket,
-      code,
-      true,
-      (meta, blob) => {
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement("a");
-        a.href = url;
-        a.download = meta.filename;
-        a.click();
-        URL.revokeObjectURL(url);
-        setStatus("received");
-        if (timeoutId) clearTimeout(timeoutId);
-      },
-      (percentComplete, bytesReceived, totalSize) => {
-        setProgress(percentComplete);
-        setTransferredBytes(bytesReceived);
-        setTotalBytes(totalSize);
-      },
-      () => {
+    const rtcObj = createWebRTCConnection(socket, pairingCode, true, {
+      ...receiveHandlers(),
+      onChannelOpen: () => {
         console.log("🟢 Receiver channel ready");
+        clearError();
         setStatus("connected");
-        if (timeoutId) clearTimeout(timeoutId);
+        setChannelReady(true);
+      },
+      onError: (err) => {
+        if (err instanceof IntegrityError) {
+          setError("Corrupted transfer: " + err.message + ". Ask the sender to send it again.");
+          setIncomingStatus("corrupted");
+        }
+        if (err instanceof PairingError) {
+          if (err.reason === "password-required") setError(err.message);
+          else if (receivePassword) setError("Could not verify the sender. Check the code and password and try again.");
+          else setError("Could not verify the sender. Check the code and try again.");
+          setStatus("idle");
+          rtcObj.close();
+        }
+        if (err instanceof ProtocolError) handleProtocolError(err, rtcObj);
+      },
+      onRoute: setRoute,
+      onStateChange: handleStateChange,
+      onControl: handleControl,
+      // The sender's code dies with it, so there is nothing to reconnect to
+      onPeerLeft: () => {
+        setError("The sender left the session");
+        setStatus("ended");
+        setChannelReady(false);
+        rtcObj.close();
       }
-    );
+    }, iceConfig, { channels: DATA_CHANNELS, password: receivePassword });
 
     setRTC(rtcObj);
 
-    const timeout = setTimeout(() => {
-      setError("Connection timeout: Sender did not connect within 5 minutes");
-      setStatus("timeout");
-      rtcObj.pc.close();
+    // Unknown, expired or already-paired codes are rejected by the server
+    socket.on("room-error", (err) => {
+      setError(err.reason === "not-found" ? "No such code" : err.message);
+      setStatus("idle");
+      rtcObj.close();
+    });
+    socket.on("room-closed", () => closedByServer(rtcObj));
+  }
+
+  // An operator closed the room on the signaling server
+  function closedByServer(rtcObj, intervalId) {
+    setError("The session was closed by the server");
+    setStatus("ended");
+    setChannelReady(false);
+    clearInterval(intervalId);
+    setTimeRemaining(0);
+    rtcObj.close();
+  }
+
+  useEffect(() => onUpdateAvailable(() => setUpdateReady(true)), []);
+
+  useEffect(() => {
+    modeRef.current = mode;
+  }, [mode]);
+
+  // ---------- NEARBY DEVICES ----------
+
+  // Nobody sees this device until the user turns that on
+  const nearbyVisible = nearbySettings.visible;
+  useEffect(() => {
+    if (!nearbyVisible) return;
+    const socket = initSignaling();
+    presenceRef.current = socket;
+
+    // The server forgets us when the socket drops, so announce on every connect
+    socket.on("connect", () => joinPresence(socket, getNearbySettings()));
+    socket.on("presence", ({ devices }) => {
+      setNearby(devices.filter((device) => device.peerId !== socket.id));
+    });
+    // Only offered on the home screen; busy devices say no
+    socket.on("presence-invited", (incomingInvite) => {
+      if (modeRef.current) declineInvite(socket, incomingInvite.from);
+      else setInvite(incomingInvite);
+    });
+    socket.on("presence-declined", ({ from }) => {
+      setInvitee((prev) => (prev && prev.peerId === from ? { ...prev, declined: true } : prev));
+    });
+    socket.on("presence-error", (err) => setError(err.message));
+
+    return () => {
       socket.disconnect();
-    }, 5 * 60 * 1000);
+      presenceRef.current = null;
+      setNearby([]);
+      setInvite(null);
+    };
+  }, [nearbyVisible]);
+
+  function updateNearbySettings(patch) {
+    setNearbySettings((prev) => ({ ...prev, ...patch }));
+  }
+
+  function applyNearbySettings() {
+    const saved = saveNearbySettings(nearbySettings);
+    setNearbySettings(saved);
+    if (presenceRef.current) joinPresence(presenceRef.current, saved);
+    showToast(saved.team ? `Joined team room "${saved.team}"` : "Showing devices on this network");
+  }
 
-    setTimeoutId(timeout);
+  function setNearbyVisible(visible) {
+    setNearbySettings(saveNearbySettings({ ...getNearbySettings(), visible }));
   }
 
+  // Creates a code as usual and hands it to the device (see startSend);
+  // the code on screen still works if the invite goes unanswered
+  function sendToNearby(device) {
+    inviteRef.current = device;
+    setInvitee({ ...device, declined: false });
+    startSend();
+  }
+
+  // The invite only names the room; the secret is read off the sender's
+  // screen, as it would be without one
+  function acceptInvite() {
+    setMode("receive");
+    setCode(`${invite.room}-`);
+    setInvitedBy(invite.name);
+    setInvite(null);
+  }
+
+  function rejectInvite() {
+    declineInvite(presenceRef.current, invite.from);
+    setInvite(null);
+  }
+
+  // Files shared from another app land in the send queue
   useEffect(() => {
-    if (isReadyToSend && files.length > 0 && rtc && mode === "send") {
-      (async () => {
-        const zipFile = await createZipFile();
-        if (zipFile) {
-          await performFileSend(zipFile, rtc);
-        }
-      })();
-      setIsReadyToSend(false);
+    const shareId = readShareId(window.location.href);
+    if (!shareId) return;
+
+    window.history.replaceState(null, "", window.location.pathname);
+    takeSharedFiles(shareId)
+      .then((shared) => {
+        if (shared.length === 0) showToast("The shared files are no longer available");
+        setFiles((prev) => [...prev, ...shared]);
+      })
+      .catch((err) => console.warn("⚠️ Could not read shared files", err))
+      .finally(() => startSend());
+  }, []);
+
+  // Shortcuts and pairing links: /?mode=send, /?mode=receive#code=...
+  useEffect(() => {
+    const link = readPairingLink(window.location.href);
+    if (!link.mode && !link.code) return;
+
+    // Keep the code out of the address bar and browser history
+    window.history.replaceState(null, "", window.location.pathname);
+
+    if (link.mode === "send") {
+      startSend();
+    } else if (link.code) {
+      setMode("receive");
+      setCode(link.code);
+      startReceive(link.code);
+    } else {
+      setMode("receive");
+    }
+  }, []);
+
+  // Camera QR scanning on the receive screen; a scanned pairing link or
+  // bare code starts receiving straight away
+  useEffect(() => {
+    if (!scanning || !videoRef.current) return;
+
+    let stop = null;
+    let cancelled = false;
+
+    startQrScanner(videoRef.current, (text) => {
+      const scanned = readPairingLink(text).code || text.trim();
+      if (!parsePairingCode(scanned)) return;
+      setScanning(false);
+      setCode(scanned);
+      startReceive(scanned);
+    })
+      .then((stopScanner) => {
+        if (cancelled) stopScanner();
+        else stop = stopScanner;
+      })
+      .catch((err) => {
+        setError("Could not open the camera: " + err.message);
+        setScanning(false);
+      });
+
+    return () => {
+      cancelled = true;
+      if (stop) stop();
+    };
+  }, [scanning]);
+
+  // Queued files go out as the next batch once the previous one is done
+  useEffect(() => {
+    if (broadcast || !channelReady || batch || files.length === 0) return;
+    setBatch(files);
+    setFiles([]);
+  }, [broadcast, channelReady, batch, files]);
+
+  // Start the batch, or pick it up again after a reconnect
+  useEffect(() => {
+    if (!batch || !channelReady || !rtc || sendingRef.current) return;
+    performFileSend(batch, rtc);
+  }, [batch, channelReady, rtc]);
+
+  useEffect(() => {
+    if (!broadcast || mode !== "send" || !rtc || files.length === 0) return;
+    recipients
+      .filter((r) => r.status === "connected")
+      .forEach((r) => sendToRecipient(files, rtc, r.peerId));
+  }, [recipients, files, rtc, mode, broadcast]);
+
+  function setDecision(transferId, decision) {
+    setIncoming((prev) => prev.map((f) =>
+      transferId === null || f.transferId === transferId ? { ...f, decision } : f
+    ));
+  }
+
+  // Tell the sender which files to send; declined ones never leave its device.
+  // A folder is rebuilt in a directory the user picks, when the browser can
+  // write to one; the picker needs this click, so it comes first.
+  async function submitDecision() {
+    const state = receiveRef.current;
+    const accepted = incoming.filter((f) => f.decision === "accept").map((f) => f.transferId);
+
+    state.hasFolders = incoming.some((f) => accepted.includes(f.transferId) && f.path.includes("/"));
+    if (state.hasFolders && "showDirectoryPicker" in window) {
+      try {
+        state.directory = await window.showDirectoryPicker({ mode: "readwrite" });
+      } catch (err) {
+        // Picker dismissed: the folder arrives as a zip instead
+      }
+    }
+
+    state.accepted = accepted;
+    addHistory("received", incoming
+      .filter((f) => !accepted.includes(f.transferId))
+      .map((f) => ({
+        batchId: state.batchId,
+        index: state.manifest.findIndex((m) => m.transferId === f.transferId),
+        transferId: f.transferId,
+        filename: f.path,
+        type: f.type,
+        size: f.size,
+        outcome: "declined",
+        duration: 0,
+        verified: false
+      })));
+    setIncoming((prev) => prev.filter((f) => accepted.includes(f.transferId)));
+    setIncomingStatus(accepted.length > 0 ? "receiving" : "declined");
+
+    state.resolveDecision(accepted);
+    state.resolveDecision = null;
+  }
+
+  function isTransferring() {
+    const active = ["reviewing", "awaiting-decision", "sending", "receiving"];
+    return active.includes(status) ||
+      active.includes(incomingStatus) ||
+      recipients.some((r) => active.includes(r.status));
+  }
+
+  async function handleSaveLocation() {
+    const { meta, resolve } = saveRequest;
+    setSaveRequest(null);
+    try {
+      resolve(await createFileSink(meta));
+    } catch (err) {
+      // Picker dismissed: fall back to a regular download
+      resolve(await createSink(meta));
     }
-  }, [isReadyToSend, files, rtc, mode]);
+  }
 
   function handleReset() {
-    if (timeoutId) clearTimeout(timeoutId);
     if (timerIntervalId) clearInterval(timerIntervalId);
+    // Leaving mid-transfer tells the other side it was cancelled; otherwise
+    // end the session so it does not wait for us to reconnect
+    if (rtc) {
+      if (isTransferring()) rtc.cancel();
+      else rtc.end();
+    }
+    setRTC(null);
+    setPaused(null);
     setMode(null);
     setCode("");
     setFiles([]);
     setStatus("idle");
-    setProgress(0);
     setError("");
     setTransferredBytes(0);
     setTotalBytes(0);
-    setIsReadyToSend(false);
+    setChannelReady(false);
+    setBatch(null);
     setTimeRemaining(0);
+    setFileProgress([]);
+    setDeclined([]);
+    setIncoming([]);
+    setIncomingStatus(null);
+    setHistory([]);
+    setMessages([]);
+    setDraft("");
+    setPairingLink("");
+    setQrCode(null);
+    setScanning(false);
+    setRoute(null);
+    setConnection(null);
+    setRecipients([]);
+    setInvitee(null);
+    setInvitedBy(null);
+    setReceivePassword("");
+  }
+
+  // How the next code is made; see createRoom in Signaling.js
+  function renderCodeOptions() {
+    const update = (patch) => setCodeOptions((prev) => ({ ...prev, ...patch }));
+
+    return (
+      <div className="code-options">
+        <label className="checkbox-label">
+          <input
+            type="checkbox"
+            checked={codeOptions.words}
+            onChange={(e) => update({ words: e.target.checked })}
+          />
+          Use a longer word code, e.g. 482913-tiger-orbit-lamp
+        </label>
+        <label className="checkbox-label">
+          <input
+            type="checkbox"
+            checked={codeOptions.oneTime && !broadcast}
+            disabled={broadcast}
+            onChange={(e) => update({ oneTime: e.target.checked })}
+          />
+          Stop the code working after the first pairing
+        </label>
+        <label className="checkbox-label">
+          Code expires after
+          <select
+            value={codeOptions.ttlMinutes}
+            onChange={(e) => update({ ttlMinutes: Number(e.target.value) })}
+          >
+            {CODE_EXPIRY.map((minutes) => (
+              <option key={minutes} value={minutes}>
+                {minutes >= 60 ? `${minutes / 60} h` : `${minutes} min`}
+              </option>
+            ))}
+          </select>
+        </label>
+        <input
+          type="password"
+          placeholder="Password (optional)"
+          value={codeOptions.password}
+          onChange={(e) => update({ password: e.target.value })}
+          className="password-input"
+        />
+      </div>
+    );
+  }
+
+  // Devices to send to without a code, and how this one shows up to them
+  function renderNearby() {
+    if (!nearbyVisible) {
+      return (
+        <div className="welcome-card nearby-section">
+          <h3>Nearby devices</h3>
+          <p className="nearby-empty">
+            Let other devices on this network, or in a team room, see this one and send to it.
+            The room number is filled in for you; the short secret at the end of the code is
+            still typed in from the sender's screen, so the server never learns it.
+          </p>
+          <button className="btn-copy" onClick={() => setNearbyVisible(true)}>Show nearby devices</button>
+        </div>
+      );
+    }
+
+    return (
+      <div className="welcome-card nearby-section">
+        <h3>Nearby devices</h3>
+        {nearby.length === 0 ? (
+          <p className="nearby-empty">
+            {nearbySettings.team
+              ? "Nobody else is in this team room yet."
+              : "No other devices on this network. Open Send Lite on another one, or use a team room."}
+          </p>
+        ) : (
+          <div className="nearby-list">
+            {nearby.map((device) => (
+              <button key={device.peerId} className="nearby-device" onClick={() => sendToNearby(device)}>
+                📱 {device.name}
+              </button>
+            ))}
+          </div>
+        )}
+        <div className="nearby-settings">
+          <label>
+            Your name
+            <input
+              type="text"
+              maxLength={40}
+              value={nearbySettings.name}
+              onChange={(e) => updateNearbySettings({ name: e.target.value })}
+            />
+          </label>
+          <label>
+            Team room
+            <input
+              type="text"
+              maxLength={64}
+              placeholder="Optional, for other networks"
+              value={nearbySettings.team}
+              onChange={(e) => updateNearbySettings({ team: e.target.value })}
+            />
+          </label>
+          <button className="btn-copy" onClick={applyNearbySettings}>Save</button>
+        </div>
+        <button className="btn-copy" onClick={() => setNearbyVisible(false)}>Hide this device</button>
+      </div>
+    );
+  }
+
+  // ---------- HISTORY SCREEN ----------
+
+  async function refreshHistory() {
+    const [entries, bytes] = await Promise.all([listHistory(), getStoredBytes()]);
+    setSavedHistory(entries);
+    setStoredBytes(bytes);
+  }
+
+  function openHistory() {
+    clearError();
+    setMode("history");
+    refreshHistory();
+  }
+
+  async function updateHistorySettings(patch) {
+    const next = { ...historySettings, ...patch };
+    setHistorySettings(next);
+    await saveHistorySettings(next);
+    refreshHistory();
+  }
+
+  async function handleRedownload(entry) {
+    const file = await getStoredFile(entry.id);
+    if (file) downloadBlob(file, file.name);
+    else setError("That file is no longer kept");
+  }
+
+  // The same files, to a new code
+  async function handleResend(batchId) {
+    const saved = await getBatchFiles(batchId);
+    if (!saved) {
+      setError("Those files are no longer kept; choose them again to send them");
+      refreshHistory();
+      return;
+    }
+    setFiles(saved);
+    startSend();
+  }
+
+  async function handleClearHistory() {
+    await clearHistory();
+    refreshHistory();
+  }
+
+  function renderProgress(done, total, rate = 0) {
+    const percent = total ? (done / total) * 100 : 100;
+    const stalled = connection === "disconnected" || connection === "failed";
+    const showRate = rate > 0 && done < total && !paused && !stalled;
+    return (
+      <div className={`progress-container${stalled ? " stalled" : ""}`}>
+        <div className="progress-bar">
+          <div className="progress-fill" style={{ width: `${percent}%` }}></div>
+        </div>
+        <div className="progress-details">
+          <span className="progress-text">{Math.round(percent)}%</span>
+          <span className="progress-bytes">
+            {(done / (1024 * 1024)).toFixed(2)} MB / {(total / (1024 * 1024)).toFixed(2)} MB
+          </span>
+        </div>
+        {showRate && (
+          <div className="progress-rate">
+            {(rate / (1024 * 1024)).toFixed(1)} MB/s · {formatEta((total - done) / rate)} left
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  // Connection, outgoing and incoming state, with pause and cancel
+  function renderStatus() {
+    const incomingTotal = incoming.reduce((sum, f) => sum + f.size, 0);
+    const incomingReceived = incoming.reduce((sum, f) => sum + f.received, 0);
+    const active = status === "sending" ||
+      incomingStatus === "receiving" ||
+      recipients.some((r) => r.status === "sending");
+
+    return (
+      <div className="status-section">
+        <div className="status-item">
+          <span className="status-label">Status:</span>
+          <span className="status-value">{statusMessages[status]}</span>
+        </div>
+        {connection && connection !== "connected" && (
+          <div className="status-item">
+            <span className="status-label">Connection:</span>
+            <span className={`status-value connection-${connection}`}>
+              {connectionMessages[connection]}
+            </span>
+          </div>
+        )}
+        {route && connection === "connected" && (
+          <div className="status-item">
+            <span className="status-label">Connection:</span>
+            <span className="status-value">
+              {route === "direct" ? "🔗 Direct (peer-to-peer)" : "🛰️ Relayed via TURN server"}
+            </span>
+          </div>
+        )}
+        {status === "sending" && renderProgress(transferredBytes, totalBytes, sendRate)}
+        {incomingStatus && (
+          <div className="status-item">
+            <span className="status-label">Incoming:</span>
+            <span className="status-value">{statusMessages[incomingStatus]}</span>
+          </div>
+        )}
+        {(incomingStatus === "receiving" || incomingStatus === "received") && incomingTotal > 0 &&
+          renderProgress(incomingReceived, incomingTotal, receiveRate)}
+        {active && (
+          <div className="transfer-controls">
+            {paused && (
+              <span className="paused-label">
+                ⏸️ Paused{paused === "peer" ? " by the other device" : ""}
+              </span>
+            )}
+            <button className="btn-copy" onClick={() => (paused ? rtc.resume() : rtc.pause())}>
+              {paused ? "Resume" : "Pause"}
+            </button>
+            <button className="btn-cancel" onClick={() => rtc.cancel()}>
+              Cancel
+            </button>
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  // File picker, the batch being sent and the files queued behind it
+  function renderOutgoing() {
+    return (
+      <>
+        <div
+          className={`file-section ${dragging ? "dragging" : ""}`}
+          onDragOver={(e) => {
+            e.preventDefault();
+            setDragging(true);
+          }}
+          onDragLeave={() => setDragging(false)}
+          onDrop={handleDrop}
+        >
+          <label className="file-input-label">
+            <input
+              type="file"
+              multiple
+              onChange={handleFileSelect}
+              className="file-input"
+            />
+            <span className="file-input-text">
+              {files.length === 0 ? "Choose files or drop them here" : `${files.length} file(s) selected`}
+            </span>
+          </label>
+          <label className="folder-input-label">
+            <input
+              type="file"
+              webkitdirectory=""
+              onChange={handleFileSelect}
+              className="file-input"
+            />
+            📁 Choose a folder
+          </label>
+        </div>
+
+        {batch && (
+          <div className="files-list">
+            <p className="files-list-title">Sending:</p>
+            {batch.map((file, index) => (
+              <div key={index} className="file-item">
+                <span className="file-item-name">📄 {getRelativePath(file)}</span>
+                <span className="file-item-size">({(file.size / (1024 * 1024)).toFixed(2)} MB)</span>
+                {declined.includes(index) && (
+                  <span className="file-item-declined">Declined</span>
+                )}
+                {fileProgress[index] !== undefined && (
+                  <span className="file-item-progress">
+                    {file.size ? Math.round((fileProgress[index] / file.size) * 100) : 100}%
+                  </span>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+
+        {files.length > 0 && (
+          <div className="files-list">
+            <p className="files-list-title">{batch ? "Queued Files:" : "Selected Files:"}</p>
+            {files.map((file, index) => (
+              <div key={index} className="file-item">
+                <span className="file-item-name">📄 {getRelativePath(file)}</span>
+                <span className="file-item-size">({(file.size / (1024 * 1024)).toFixed(2)} MB)</span>
+                <button
+                  className="btn-delete-file"
+                  onClick={() => deleteFile(index)}
+                  title="Delete this file"
+                >
+                  <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                    <polyline points="3 6 5 6 21 6"></polyline>
+                    <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
+                    <line x1="10" y1="11" x2="10" y2="17"></line>
+                    <line x1="14" y1="11" x2="14" y2="17"></line>
+                  </svg>
+                </button>
+              </div>
+            ))}
+            <div className="files-total-size">
+              Total: {(files.reduce((sum, f) => sum + f.size, 0) / (1024 * 1024)).toFixed(2)} MB
+            </div>
+          </div>
+        )}
+      </>
+    );
+  }
+
+  // The other side's latest batch: review it, then watch it arrive
+  function renderIncoming() {
+    return (
+      <>
+        {saveRequest && (
+          <div className="save-prompt">
+            <p>
+              📁 {saveRequest.meta.filename} is {(saveRequest.meta.size / (1024 * 1024)).toFixed(2)} MB.
+              Choose where to save it so it can be written straight to disk.
+            </p>
+            <button className="btn btn-primary" onClick={handleSaveLocation}>
+              Choose save location
+            </button>
+          </div>
+        )}
+
+        {incoming.length > 0 && (
+          <div className="files-list">
+            <p className="files-list-title">Incoming Files:</p>
+            {incoming.map((file) => (
+              <div key={file.transferId} className="file-item">
+                {file.thumbnail && (
+                  <img className="file-item-thumbnail" src={file.thumbnail} alt="" />
+                )}
+                <span className="file-item-name">
+                  {file.done ? "✅" : "📄"} {file.path}
+                  <span className="file-item-type">{file.type || "unknown type"}</span>
+                </span>
+                <span className="file-item-size">({(file.size / (1024 * 1024)).toFixed(2)} MB)</span>
+                {incomingStatus === "reviewing" ? (
+                  <span className="decision-buttons">
+                    <button
+                      className={`btn-decision ${file.decision === "accept" ? "accepted" : ""}`}
+                      onClick={() => setDecision(file.transferId, "accept")}
+                    >
+                      Accept
+                    </button>
+                    <button
+                      className={`btn-decision ${file.decision === "decline" ? "declined" : ""}`}
+                      onClick={() => setDecision(file.transferId, "decline")}
+                    >
+                      Decline
+                    </button>
+                  </span>
+                ) : (
+                  <span className="file-item-progress">
+                    {file.size ? Math.round((file.received / file.size) * 100) : 100}%
+                  </span>
+                )}
+              </div>
+            ))}
+            {incomingStatus === "reviewing" && (
+              <div className="decision-actions">
+                <button className="btn-copy" onClick={() => setDecision(null, "accept")}>
+                  Accept all
+                </button>
+                <button className="btn-copy" onClick={() => setDecision(null, "decline")}>
+                  Decline all
+                </button>
+                <button
+                  className="btn btn-primary"
+                  onClick={submitDecision}
+                  disabled={incoming.some((f) => f.decision === null)}
+                >
+                  Confirm
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+      </>
+    );
+  }
+
+  // Chat-style log of text, links and images, with a box to send more
+  function renderMessages() {
+    if (!channelReady && messages.length === 0) return null;
+    return (
+      <div className="messages-section">
+        <p className="files-list-title">Messages:</p>
+        {messages.length > 0 && (
+          <div className="message-log">
+            {messages.map((message) => (
+              <div key={message.id} className={`message-item ${message.direction}`}>
+                {message.type === "image" ? (
+                  <img className="message-image" src={message.dataUrl} alt="Pasted image" />
+                ) : (
+                  <span className="message-text">{message.text}</span>
+                )}
+                <span className="message-actions">
+                  {message.type === "link" && (
+                    <a
+                      className="btn-message"
+                      href={message.text.trim()}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                    >
+                      Open
+                    </a>
+                  )}
+                  {message.type === "image" ? (
+                    <a className="btn-message" href={message.dataUrl} download="image">
+                      Save
+                    </a>
+                  ) : (
+                    <button className="btn-message" onClick={() => copyText(message.text)}>
+                      Copy
+                    </button>
+                  )}
+                </span>
+              </div>
+            ))}
+          </div>
+        )}
+        {channelReady && rtc?.getProtocol()?.capabilities.includes("messages") && (
+          <>
+            <textarea
+              className="message-input"
+              placeholder="Type or paste text, a link or an image"
+              rows="2"
+              maxLength={MAX_TEXT_LENGTH}
+              value={draft}
+              onChange={(e) => setDraft(e.target.value)}
+              onPaste={handlePaste}
+              onKeyDown={(e) => {
+                if (e.key === "Enter" && !e.shiftKey) {
+                  e.preventDefault();
+                  handleSendText();
+                }
+              }}
+            />
+            <div className="message-buttons">
+              <button className="btn-copy" onClick={handlePasteClipboard}>
+                📋 Send clipboard
+              </button>
+              <button className="btn-copy" onClick={handleSendText} disabled={!draft.trim()}>
+                Send
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    );
+  }
+
+  function renderHistory() {
+    if (history.length === 0) return null;
+    return (
+      <div className="files-list">
+        <p className="files-list-title">This session:</p>
+        {history.map((item, index) => (
+          <div key={index} className="file-item">
+            <span className="file-item-name">
+              {item.direction === "sent" ? "⬆️" : "⬇️"} {item.filename}
+            </span>
+            <span className="file-item-size">({(item.size / (1024 * 1024)).toFixed(2)} MB)</span>
+            {item.outcome === "declined" ? (
+              <span className="file-item-declined">Declined</span>
+            ) : (
+              <span className="file-item-progress">
+                {item.direction === "sent" ? "Sent" : "Received"}
+                {item.verified && " ✔"}
+              </span>
+            )}
+          </div>
+        ))}
+      </div>
+    );
+  }
+
+  function renderSavedHistory() {
+    // Entries come newest first; a batch's files stay together, in order
+    const batches = [];
+    for (const entry of savedHistory) {
+      const batch = batches.find((b) => b.batchId === entry.batchId);
+      if (batch) batch.entries.push(entry);
+      else batches.push({ batchId: entry.batchId, direction: entry.direction, entries: [entry] });
+    }
+    batches.forEach((batch) => batch.entries.sort((a, b) => a.index - b.index));
+
+    const quotas = [...new Set([100, 250, 500, 1024, 2048, 5120, historySettings.quotaMB])]
+      .sort((a, b) => a - b);
+
+    return (
+      <>
+        <div className="history-settings">
+          <label className="checkbox-label">
+            <input
+              type="checkbox"
+              checked={historySettings.keepReceived}
+              onChange={(e) => updateHistorySettings({ keepReceived: e.target.checked })}
+            />
+            Keep received files so they can be downloaded again
+          </label>
+          <label className="checkbox-label">
+            <input
+              type="checkbox"
+              checked={historySettings.keepSent}
+              onChange={(e) => updateHistorySettings({ keepSent: e.target.checked })}
+            />
+            Keep sent files so they can be sent again
+          </label>
+          <label className="checkbox-label">
+            Use up to
+            <select
+              value={historySettings.quotaMB}
+              onChange={(e) => updateHistorySettings({ quotaMB: Number(e.target.value) })}
+            >
+              {quotas.map((mb) => (
+                <option key={mb} value={mb}>{mb >= 1024 ? `${mb / 1024} GB` : `${mb} MB`}</option>
+              ))}
+            </select>
+            (oldest files go first)
+          </label>
+          <p className="history-usage">
+            {(storedBytes / (1024 * 1024)).toFixed(2)} MB of files kept
+          </p>
+        </div>
+
+        {error && <div className="error-message">{error}</div>}
+
+        {batches.length === 0 && <p className="history-empty">Nothing sent or received yet.</p>}
+
+        {batches.map((batch) => (
+          <div key={batch.batchId} className="files-list">
+            <div className="history-batch-header">
+              <p className="files-list-title">
+                {batch.direction === "sent" ? "⬆️ Sent" : "⬇️ Received"}
+                {batch.entries[0].peer && ` · code ${batch.entries[0].peer}`}
+                <span className="file-item-type">{new Date(batch.entries[0].time).toLocaleString()}</span>
+              </p>
+              {batch.direction === "sent" && batch.entries.every((entry) => entry.available) && (
+                <button className="btn-copy" onClick={() => handleResend(batch.batchId)}>
+                  Send again
+                </button>
+              )}
+            </div>
+            {batch.entries.map((entry) => (
+              <div key={entry.id} className="file-item">
+                <span className="file-item-name">
+                  📄 {entry.filename}
+                  <span className="file-item-type">
+                    {entry.outcome === "done" && `${formatEta(entry.duration / 1000)} · `}
+                    {entry.outcome === "declined"
+                      ? "Declined"
+                      : entry.verified
+                        ? "✔ SHA-256 verified"
+                        : "Not confirmed by the receiver"}
+                  </span>
+                </span>
+                <span className="file-item-size">({(entry.size / (1024 * 1024)).toFixed(2)} MB)</span>
+                {entry.direction === "received" && entry.stored && (
+                  <button className="btn-message" onClick={() => handleRedownload(entry)}>
+                    Download
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        ))}
+
+        {batches.length > 0 && (
+          <button className="btn-cancel" onClick={handleClearHistory}>
+            Clear history
+          </button>
+        )}
+      </>
+    );
   }
 
   return (
@@ -295,6 +1814,29 @@ export default function App() {
                   <span className="btn-text">Receive File</span>
                 </button>
               </div>
+              <label className="checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={broadcast}
+                  onChange={(e) => setBroadcast(e.target.checked)}
+                />
+                Send to several receivers with one code
+              </label>
+              {renderCodeOptions()}
+              <button className="btn-copy btn-history" onClick={openHistory}>
+                📜 Transfer history
+              </button>
+            </div>
+            {renderNearby()}
+          </div>
+        )}
+
+        {mode === "history" && (
+          <div className="transfer-section">
+            <button className="btn-back" onClick={handleReset}>← Back</button>
+            <div className="transfer-card">
+              <h2>Transfer History</h2>
+              {renderSavedHistory()}
             </div>
           </div>
         )}
@@ -306,89 +1848,99 @@ export default function App() {
               <h2>Send File</h2>
               
               <div className="code-section">
-                <p className="code-label">Share this code with the receiver:</p>
-                <div className="code-display">{code}</div>
-                <button className="btn-copy" onClick={() => {
-                  navigator.clipboard.writeText(code);
-                  showToast("Code copied");
-                }}>
-                  Copy Code
-                </button>
+                <p className="code-label">
+                  {broadcast ? "Share this code with every receiver:" : "Share this code with the receiver:"}
+                </p>
+                <div className={`code-display ${/[a-z]/.test(code) ? "code-display-words" : ""}`}>{code}</div>
+                {(codeOptions.password || codeOptions.oneTime) && !broadcast && (
+                  <p className="code-notes">
+                    {codeOptions.password && "🔒 The receiver also needs your password. "}
+                    {codeOptions.oneTime && "This code works for one pairing only."}
+                  </p>
+                )}
+                {codeOptions.password && broadcast && (
+                  <p className="code-notes">🔒 Receivers also need your password.</p>
+                )}
+                {qrCode && (
+                  <img className="qr-code" src={qrCode} alt="QR code that opens this code on another device" />
+                )}
+                <div className="code-buttons">
+                  <button className="btn-copy" onClick={() => {
+                    navigator.clipboard.writeText(code);
+                    showToast("Code copied");
+                  }}>
+                    Copy Code
+                  </button>
+                  {pairingLink && (
+                    <button className="btn-copy" onClick={() => {
+                      navigator.clipboard.writeText(pairingLink);
+                      showToast("Link copied");
+                    }}>
+                      Copy Link
+                    </button>
+                  )}
+                </div>
                 {timeRemaining > 0 && (
                   <div className="timer-display">
-                    ⏱️ Code expires in {Math.floor(timeRemaining / 60)}:{String(timeRemaining % 60).padStart(2, '0')}
+                    ⏱️ Code expires in {formatEta(timeRemaining)}
                   </div>
                 )}
               </div>
 
-              <div className="file-section">
-                <label className="file-input-label">
-                  <input
-                    type="file"
-                    multiple
-                    onChange={handleFileSelect}
-                    className="file-input"
-                  />
-                  <span className="file-input-text">
-                    {files.length === 0 ? "Choose files to send" : `${files.length} file(s) selected`}
-                  </span>
-                </label>
-              </div>
-
-              {files.length > 0 && (
-                <div className="files-list">
-                  <p className="files-list-title">Selected Files:</p>
-                  {files.map((file, index) => (
-                    <div key={index} className="file-item">
-                      <span className="file-item-name">📄 {file.name}</span>
-                      <span className="file-item-size">({(file.size / (1024 * 1024)).toFixed(2)} MB)</span>
-                      <button
-                        className="btn-delete-file"
-                        onClick={() => deleteFile(index)}
-                        title="Delete this file"
-                      >
-                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
-                          <polyline points="3 6 5 6 21 6"></polyline>
-                          <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
-                          <line x1="10" y1="11" x2="10" y2="17"></line>
-                          <line x1="14" y1="11" x2="14" y2="17"></line>
-                        </svg>
-                      </button>
-                    </div>
-                  ))}
-                  <div className="files-total-size">
-                    Total: {(files.reduce((sum, f) => sum + f.size, 0) / (1024 * 1024)).toFixed(2)} MB
-                  </div>
-                </div>
+              {invitee && status === "waiting-for-receiver" && (
+                <p className="nearby-invitee">
+                  {invitee.declined
+                    ? `${invitee.name} declined. The code above still works.`
+                    : `Waiting for ${invitee.name} to accept and type in the end of the code above...`}
+                </p>
               )}
 
+              {renderOutgoing()}
+
               {error && <div className="error-message">{error}</div>}
 
-              {status === "connected" && files.length > 0 && (
+              {status === "waiting-for-receiver" && files.length > 0 && (
                 <div className="auto-send-message">
-                  ✓ Files will be zipped and sent automatically when receiver connects
+                  ✓ Files will be sent automatically when receiver connects
                 </div>
               )}
 
-              <div className="status-section">
-                <div className="status-item">
-                  <span className="status-label">Status:</span>
-                  <span className="status-value">{statusMessages[status]}</span>
-                </div>
-                {(status === "sending" || status === "waiting-for-connection") && (
-                  <div className="progress-container">
-                    <div className="progress-bar">
-                      <div className="progress-fill" style={{ width: `${progress}%` }}></div>
-                    </div>
-                    <div className="progress-details">
-                      <span className="progress-text">{Math.round(progress)}%</span>
-                      <span className="progress-bytes">
-                        {(transferredBytes / (1024 * 1024)).toFixed(2)} MB / {(totalBytes / (1024 * 1024)).toFixed(2)} MB
+              {renderStatus()}
+
+              {recipients.length > 0 && (
+                <div className="files-list">
+                  <p className="files-list-title">Receivers:</p>
+                  {recipients.map((recipient, index) => (
+                    <div key={recipient.peerId} className="file-item recipient-item">
+                      <span className="file-item-name">
+                        💻 Receiver {index + 1}
+                        <span className="file-item-type">
+                          {recipientMessages[recipient.status]}
+                          {recipient.paused && " · paused"}
+                          {recipient.route === "relayed" && " · relayed"}
+                          {recipient.connection === "disconnected" && " · reconnecting..."}
+                          {recipient.connection === "failed" && " · connection failed"}
+                        </span>
+                      </span>
+                      <div className="recipient-progress">
+                        <div
+                          className="progress-fill"
+                          style={{ width: `${recipient.total ? (recipient.sent / recipient.total) * 100 : 0}%` }}
+                        ></div>
+                      </div>
+                      <span className="file-item-progress">
+                        {recipient.status === "sent"
+                          ? 100
+                          : recipient.total ? Math.round((recipient.sent / recipient.total) * 100) : 0}%
                       </span>
                     </div>
-                  </div>
-                )}
-              </div>
+                  ))}
+                </div>
+              )}
+
+              {renderIncoming()}
+              {renderMessages()}
+              {renderHistory()}
             </div>
           </div>
         )}
@@ -400,54 +1952,93 @@ export default function App() {
               <h2>Receive File</h2>
 
               <div className="code-input-section">
-                <label htmlFor="code-input" className="input-label">Enter the 6-digit code:</label>
+                <label htmlFor="code-input" className="input-label">Enter the code:</label>
                 <input
                   id="code-input"
                   type="text"
-                  placeholder="000000"
+                  placeholder="000000-0000"
                   value={code}
                   onChange={(e) => {
-                    setCode(e.target.value.slice(0, 6));
+                    setCode(e.target.value.slice(0, MAX_CODE_LENGTH));
+                    clearError();
+                  }}
+                  maxLength={MAX_CODE_LENGTH}
+                  className={`code-input ${/[a-z]/i.test(code) ? "code-input-words" : ""}`}
+                />
+                <input
+                  type="password"
+                  placeholder="Password, if the sender set one"
+                  value={receivePassword}
+                  onChange={(e) => {
+                    setReceivePassword(e.target.value);
                     clearError();
                   }}
-                  maxLength="6"
-                  className="code-input"
+                  disabled={status !== "idle"}
+                  className="password-input"
                 />
+                <label className="checkbox-label">
+                  <input
+                    type="checkbox"
+                    checked={bundleZip}
+                    onChange={(e) => setBundleZip(e.target.checked)}
+                    disabled={status !== "idle"}
+                  />
+                  Bundle multiple files into one zip
+                </label>
+                {invitedBy && status === "idle" && (
+                  <p className="nearby-invitee">
+                    The room number is filled in. Type in the rest of the code shown on {invitedBy};
+                    it never goes through the server.
+                  </p>
+                )}
+                {status === "idle" && (
+                  <button className="btn-copy btn-scan" onClick={() => setScanning(!scanning)}>
+                    {scanning ? "Stop scanning" : "📷 Scan QR code"}
+                  </button>
+                )}
+                {scanning && <video ref={videoRef} className="qr-video" muted />}
               </div>
 
               {error && <div className="error-message">{error}</div>}
 
               <button 
                 className="btn btn-receive" 
-                onClick={startReceive}
-                disabled={code.length !== 6 || status === "connecting"}
+                onClick={() => startReceive()}
+                disabled={!parsePairingCode(code) || status !== "idle"}
               >
                 {status === "connecting" ? "Connecting..." : "Receive"}
               </button>
 
-              <div className="status-section">
-                <div className="status-item">
-                  <span className="status-label">Status:</span>
-                  <span className="status-value">{statusMessages[status]}</span>
-                </div>
-                {totalBytes > 0 && (
-                  <div className="progress-container">
-                    <div className="progress-bar">
-                      <div className="progress-fill" style={{ width: `${progress}%` }}></div>
-                    </div>
-                    <div className="progress-details">
-                      <span className="progress-text">{Math.round(progress)}%</span>
-                      <span className="progress-bytes">
-                        {(transferredBytes / (1024 * 1024)).toFixed(2)} MB / {(totalBytes / (1024 * 1024)).toFixed(2)} MB
-                      </span>
-                    </div>
-                  </div>
-                )}
-              </div>
+              {renderStatus()}
+              {renderIncoming()}
+
+              {/* Once paired, files can go back the other way too */}
+              {(channelReady || batch) && renderOutgoing()}
+
+              {renderMessages()}
+              {renderHistory()}
             </div>
           </div>
         )}
       </div>
+      {invite && (
+        <div className="invite-prompt">
+          <p>
+            <strong>{invite.name}</strong> wants to send you files. You'll type in the end of the
+            code shown on their screen.
+          </p>
+          <div className="code-buttons">
+            <button className="btn btn-primary" onClick={acceptInvite}>Accept</button>
+            <button className="btn btn-secondary" onClick={rejectInvite}>Decline</button>
+          </div>
+        </div>
+      )}
+      {updateReady && (
+        <div className="update-banner">
+          <span>A new version of Send Lite is available.</span>
+          <button className="btn btn-secondary" onClick={applyUpdate}>Reload</button>
+        </div>
+      )}
       {toast && (
         <div className="toast-notification">
           {toast}
@@ -7,3 +7,101 @@ export function initSignaling() {
   return io(SIGNALING_URL);
 }
 
+// Ask the server to reserve a fresh pairing code for this socket.
+// Resolves with { code, expiresAt, expiresIn, broadcast, oneTime,
+// hasPassword, token } once the room exists. A broadcast room lets many
+// receivers join the same code. `oneTime` burns the code once a receiver
+// has paired, and `hasPassword` tells receivers to bring the sender's
+// password (which itself stays here). The code waits `ttlSeconds` for a
+// receiver, between a minute and a day; expiresIn is what is left of that
+// by the server's clock. `token` lets createWebRTCConnection rejoin the
+// room if the socket reconnects. Rejects if the server can't be reached or doesn't answer
+// within CREATE_ROOM_TIMEOUT_MS.
+const CREATE_ROOM_TIMEOUT_MS = 15000;
+
+export function createRoom(
+  socket,
+  { broadcast = false, oneTime = false, hasPassword = false, ttlSeconds } = {}
+) {
+  return new Promise((resolve, reject) => {
+    const settle = (fn) => (value) => {
+      clearTimeout(timer);
+      socket.off("room-created", onCreated);
+      socket.off("room-error", onError);
+      socket.off("connect_error", onConnectError);
+      fn(value);
+    };
+    const onCreated = settle(resolve);
+    const onError = settle((err) => reject(new Error(err.message)));
+    const onConnectError = settle(() => reject(new Error("no connection")));
+    const timer = setTimeout(
+      settle(() => reject(new Error("no answer in time"))),
+      CREATE_ROOM_TIMEOUT_MS
+    );
+
+    socket.once("room-created", onCreated);
+    socket.once("room-error", onError);
+    socket.once("connect_error", onConnectError);
+    socket.emit("create-room", { broadcast, oneTime, hasPassword, ttlSeconds });
+  });
+}
+
+// Show up as a nearby device: with everyone behind the same public address,
+// or, given a team, with everyone who named the same team room. The
+// socket then gets "presence" { devices: [{ peerId, name }] }, itself
+// included, and "presence-invited" { from, name, room } when a nearby
+// device wants to send to it. Re-join to change name or team.
+export function joinPresence(socket, { name, team = "" }) {
+  socket.emit("presence-join", { name, team: team.trim() || null });
+}
+
+// Point a nearby device at our room; it gets "presence-invited". Only the
+// room part of the code goes, so the secret stays off the server and the
+// invited device's user types it in from our screen.
+export function inviteNearby(socket, peerId, room) {
+  socket.emit("presence-invite", { to: peerId, room });
+}
+
+export function declineInvite(socket, peerId) {
+  socket.emit("presence-decline", { to: peerId });
+}
+
+// How long the server gets to hand out ICE servers, e.g. while it wakes up
+const ICE_FETCH_TIMEOUT_MS = 10000;
+
+const DEFAULT_ICE_CONFIG = {
+  iceServers: [{ urls: "stun:stun.l.google.com:19302" }]
+};
+
+// RTCConfiguration for a new session. VITE_ICE_SERVERS (a JSON array of
+// RTCIceServer) overrides the server's /ice-servers endpoint, which issues
+// short-lived TURN credentials. ?relay=1 or VITE_FORCE_RELAY=true (or 1)
+// forces every session through TURN, for testing relayed connections.
+// Never rejects: anything unusable, or no answer within
+// ICE_FETCH_TIMEOUT_MS, falls back to STUN only.
+export async function fetchIceConfig() {
+  let config = DEFAULT_ICE_CONFIG;
+
+  if (import.meta.env.VITE_ICE_SERVERS) {
+    try {
+      config = { iceServers: JSON.parse(import.meta.env.VITE_ICE_SERVERS) };
+    } catch (err) {
+      console.warn("⚠️ VITE_ICE_SERVERS is not valid JSON, using STUN only", err);
+    }
+  } else {
+    try {
+      const res = await fetch(`${SIGNALING_URL}/ice-servers`, {
+        signal: AbortSignal.timeout(ICE_FETCH_TIMEOUT_MS)
+      });
+      if (res.ok) config = await res.json();
+    } catch (err) {
+      console.warn("⚠️ Could not fetch ICE servers, using STUN only", err);
+    }
+  }
+
+  const forceRelay =
+    ["true", "1"].includes(import.meta.env.VITE_FORCE_RELAY) ||
+    new URLSearchParams(window.location.search).get("relay") === "1";
+
+  return forceRelay ? { ...config, iceTransportPolicy: "relay" } : config;
+}
@@ -0,0 +1,79 @@
+// folders.js
+// Relative paths for files picked as a folder or dropped as a directory
+// tree. They travel as `path` in the transfer metadata ("photos/2024/a.jpg")
+// so the receiving end can rebuild the tree.
+
+// Dropped files have no webkitRelativePath, so their paths are kept here
+const relativePaths = new WeakMap();
+
+export function getRelativePath(file) {
+  return relativePaths.get(file) || file.webkitRelativePath || file.name;
+}
+
+// For files rebuilt from storage, which lose their webkitRelativePath
+export function withRelativePath(file, path) {
+  if (path !== file.name) relativePaths.set(file, path);
+  return file;
+}
+
+// Files from a drop, walking any directories in it. The items have to be
+// read before the first await, while the DataTransfer is still accessible.
+export async function filesFromDataTransfer(dataTransfer) {
+  const entries = [...dataTransfer.items]
+    .filter((item) => item.kind === "file")
+    .map((item) => item.webkitGetAsEntry?.())
+    .filter(Boolean);
+  if (entries.length === 0) return [...dataTransfer.files];
+
+  const files = [];
+  for (const entry of entries) {
+    await walkEntry(entry, "", files);
+  }
+  return files;
+}
+
+async function walkEntry(entry, prefix, files) {
+  const path = prefix + entry.name;
+
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+    if (prefix) relativePaths.set(file, path);
+    files.push(file);
+    return;
+  }
+
+  // readEntries hands out a directory in batches until it returns none
+  const reader = entry.createReader();
+  let batch;
+  do {
+    batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    for (const child of batch) {
+      await walkEntry(child, `${path}/`, files);
+    }
+  } while (batch.length > 0);
+}
+
+// A path from the other device, as safe segments: no "..", no absolute
+// paths and no characters file systems reject
+export function splitPath(path, fallback) {
+  const parts = String(path || "")
+    .split(/[\\/]/)
+    .map((part) => part.replace(/[<>:"|?*\u0000-\u001f]/g, "_").trim())
+    .filter((part) => part && part !== "." && part !== "..");
+  return parts.length > 0 ? parts : [fallback];
+}
+
+export function safePath(path, fallback) {
+  return splitPath(path, fallback).join("/");
+}
+
+// Keeps same-named files from overwriting each other: "a.txt" -> "a (1).txt"
+export function uniquePath(path, taken) {
+  let candidate = path;
+  for (let n = 1; taken.has(candidate); n++) {
+    const match = /^(.*?)(\.[^./]*)?$/.exec(path);
+    candidate = `${match[1]} (${n})${match[2] || ""}`;
+  }
+  taken.add(candidate);
+  return candidate;
+}
@@ -0,0 +1,253 @@
+// history.js
+// Transfer history that outlives the session: one entry per file sent or
+// received, grouped by the batch it went out in. Within a storage quota the
+// files themselves can be kept too, so a received file can be downloaded
+// again and a sent batch sent again to a new code. Falls back to memory
+// when IndexedDB is unavailable.
+//
+// entry: { id, batchId, index, direction: "sent" | "received", transferId,
+//          filename, type, size, outcome: "done" | "declined", time,
+//          duration, peer, verified, stored }
+// `time` is when the file finished (ms since epoch), `duration` how long it
+// took and `index` its place in the batch; `peer` is the room part of the
+// pairing code. `verified` means the receiving end checked the whole file
+// against its SHA-256, and `stored` that the file itself is kept. A sent
+// batch is kept whole, declined files included, so all of it can go again.
+//
+// Settings live in localStorage; the quota defaults to
+// VITE_HISTORY_QUOTA_MB (500 MB).
+
+import { getRelativePath, withRelativePath } from "./folders.js";
+import { openDatabase, request, done } from "./transferStore.js";
+
+const DB_NAME = "send-anywhere-lite-history";
+const DB_VERSION = 1;
+const ENTRIES = "entries"; // id -> entry
+const FILES = "files";     // id -> File, for stored entries
+
+const SETTINGS_KEY = "send-anywhere-lite-history-settings";
+const DEFAULT_QUOTA_MB = Number(import.meta.env.VITE_HISTORY_QUOTA_MB) || 500;
+// The oldest entries beyond this are dropped
+const MAX_ENTRIES = 1000;
+
+let dbPromise = null;
+const memory = new Map(); // id -> entry, without IndexedDB
+const memoryFiles = new Map();
+// Files sent this session, so a batch can be sent again even when it was
+// not kept
+const sessionFiles = new Map(); // id -> File
+
+function openDB() {
+  if (!dbPromise) {
+    dbPromise = openDatabase(DB_NAME, DB_VERSION, (db) => {
+      db.createObjectStore(ENTRIES, { keyPath: "id" });
+      db.createObjectStore(FILES);
+    }, "history");
+  }
+  return dbPromise;
+}
+
+// ---------- SETTINGS ----------
+
+// { keepReceived, keepSent, quotaMB }
+export function getHistorySettings() {
+  const defaults = { keepReceived: false, keepSent: false, quotaMB: DEFAULT_QUOTA_MB };
+  try {
+    return { ...defaults, ...JSON.parse(localStorage.getItem(SETTINGS_KEY)) };
+  } catch (err) {
+    return defaults;
+  }
+}
+
+// A lower quota takes effect straight away
+export async function saveHistorySettings(settings) {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  await enforceQuota();
+}
+
+// ---------- ENTRIES ----------
+
+async function allEntries() {
+  const db = await openDB();
+  if (!db) return [...memory.values()];
+
+  const tx = db.transaction(ENTRIES, "readonly");
+  return request(tx.objectStore(ENTRIES).getAll());
+}
+
+async function putEntries(entries) {
+  const db = await openDB();
+  if (!db) {
+    entries.forEach((entry) => memory.set(entry.id, entry));
+    return;
+  }
+
+  const tx = db.transaction(ENTRIES, "readwrite");
+  entries.forEach((entry) => tx.objectStore(ENTRIES).put(entry));
+  await done(tx);
+}
+
+async function deleteEntries(entries) {
+  const db = await openDB();
+  if (!db) {
+    entries.forEach((entry) => {
+      memory.delete(entry.id);
+      memoryFiles.delete(entry.id);
+    });
+    return;
+  }
+
+  const tx = db.transaction([ENTRIES, FILES], "readwrite");
+  entries.forEach((entry) => {
+    tx.objectStore(ENTRIES).delete(entry.id);
+    tx.objectStore(FILES).delete(entry.id);
+  });
+  await done(tx);
+}
+
+// Newest first, each with `available` set when its file can be had again
+export async function listHistory() {
+  const entries = await allEntries();
+  return entries
+    .map((entry) => ({ ...entry, available: entry.stored || sessionFiles.has(entry.id) }))
+    .sort((a, b) => b.time - a.time);
+}
+
+// items: entries without id or stored, plus `file`, the File or Blob to
+// keep if the settings allow it. Returns the entries as recorded.
+export async function recordHistory(items) {
+  const { keepReceived, keepSent, quotaMB } = getHistorySettings();
+  const quota = quotaMB * 1024 * 1024;
+  const db = await openDB();
+  const entries = [];
+  const kept = [];
+
+  for (const { file, ...item } of items) {
+    const entry = { ...item, id: crypto.randomUUID(), stored: false };
+    const keep = item.direction === "sent" ? keepSent : keepReceived;
+
+    if (file && item.direction === "sent") sessionFiles.set(entry.id, file);
+    if (file && keep && file.size <= quota) {
+      entry.stored = true;
+      kept.push({ id: entry.id, file: toFile(file, item) });
+    }
+    entries.push(entry);
+  }
+
+  if (!db) {
+    entries.forEach((entry) => memory.set(entry.id, entry));
+    kept.forEach(({ id, file }) => memoryFiles.set(id, file));
+  } else {
+    const tx = db.transaction([ENTRIES, FILES], "readwrite");
+    entries.forEach((entry) => tx.objectStore(ENTRIES).put(entry));
+    kept.forEach(({ id, file }) => tx.objectStore(FILES).put(file, id));
+    try {
+      await done(tx);
+    } catch (err) {
+      // Usually the browser's own storage limit; keep the entries at least
+      console.warn("⚠️ Could not keep files in history", err);
+      entries.forEach((entry) => { entry.stored = false; });
+      await putEntries(entries);
+    }
+  }
+
+  await enforceQuota();
+  return entries;
+}
+
+// The receiving end confirmed a file we sent; marks the latest unconfirmed
+// entry for it
+export async function markVerified(transferId) {
+  const entry = (await allEntries())
+    .filter((e) => e.direction === "sent" && e.transferId === transferId && !e.verified)
+    .sort((a, b) => b.time - a.time)[0];
+  if (!entry) return null;
+
+  entry.verified = true;
+  await putEntries([entry]);
+  return entry;
+}
+
+export async function clearHistory() {
+  sessionFiles.clear();
+  await deleteEntries(await allEntries());
+}
+
+// ---------- FILES ----------
+
+// A File keeps its name and type in IndexedDB; a received Blob gets them
+function toFile(file, { filename, type }) {
+  if (file instanceof File) return file;
+  return new File([file], filename.split("/").pop(), { type });
+}
+
+export async function getStoredFile(id) {
+  const db = await openDB();
+  if (!db) return memoryFiles.get(id) || null;
+
+  const tx = db.transaction(FILES, "readonly");
+  return (await request(tx.objectStore(FILES).get(id))) || null;
+}
+
+// The files of a sent batch, in their original order and with their
+// folder paths, or null if any of them is no longer available
+export async function getBatchFiles(batchId) {
+  const entries = (await allEntries())
+    .filter((e) => e.batchId === batchId)
+    .sort((a, b) => a.index - b.index);
+  const files = [];
+
+  for (const entry of entries) {
+    const file = sessionFiles.get(entry.id) || (entry.stored ? await getStoredFile(entry.id) : null);
+    if (!file) return null;
+    if (getRelativePath(file) !== entry.filename) withRelativePath(file, entry.filename);
+    files.push(file);
+  }
+  return files.length > 0 ? files : null;
+}
+
+// Bytes of files kept in history
+export async function getStoredBytes() {
+  return (await allEntries())
+    .filter((entry) => entry.stored)
+    .reduce((sum, entry) => sum + entry.size, 0);
+}
+
+// ---------- CLEANUP ----------
+
+// Oldest kept files go first until the rest fit the quota; their entries
+// stay. Past MAX_ENTRIES the oldest entries go as well.
+async function enforceQuota() {
+  const quota = getHistorySettings().quotaMB * 1024 * 1024;
+  const entries = (await allEntries()).sort((a, b) => a.time - b.time);
+
+  const expired = entries.slice(0, Math.max(0, entries.length - MAX_ENTRIES));
+  if (expired.length > 0) await deleteEntries(expired);
+
+  const stored = entries.slice(expired.length).filter((entry) => entry.stored);
+  let total = stored.reduce((sum, entry) => sum + entry.size, 0);
+  const evicted = [];
+  for (const entry of stored) {
+    if (total <= quota) break;
+    total -= entry.size;
+    evicted.push({ ...entry, stored: false });
+  }
+  if (evicted.length === 0) return;
+
+  const db = await openDB();
+  if (!db) {
+    evicted.forEach((entry) => {
+      memory.set(entry.id, entry);
+      memoryFiles.delete(entry.id);
+    });
+    return;
+  }
+
+  const tx = db.transaction([ENTRIES, FILES], "readwrite");
+  evicted.forEach((entry) => {
+    tx.objectStore(ENTRIES).put(entry);
+    tx.objectStore(FILES).delete(entry.id);
+  });
+  await done(tx);
+  console.log("🧹 Dropped", evicted.length, "file(s) from history to fit the quota");
+}
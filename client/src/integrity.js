@@ -0,0 +1,86 @@
+// integrity.js
+// SHA-256 checks for transfers: every binary chunk is prefixed with the
+// digest of its payload, and the metadata carries the digest of the whole
+// file. WebCrypto cannot hash incrementally, so whole-file hashing streams
+// the file through @noble/hashes instead of loading it into memory.
+
+import { sha256 } from "@noble/hashes/sha2.js";
+import { bytesToHex } from "@noble/hashes/utils.js";
+
+export const DIGEST_SIZE = 32;
+
+const READ_SIZE = 4 * 1024 * 1024;
+
+export async function hashChunk(buffer) {
+  return new Uint8Array(await crypto.subtle.digest("SHA-256", buffer));
+}
+
+// Hex SHA-256 of a File or Blob, read a few MB at a time
+export async function hashFile(blob) {
+  const hasher = sha256.create();
+
+  for (let offset = 0; offset < blob.size; offset += READ_SIZE) {
+    const buffer = await blob.slice(offset, offset + READ_SIZE).arrayBuffer();
+    hasher.update(new Uint8Array(buffer));
+  }
+
+  return bytesToHex(hasher.digest());
+}
+
+// Incremental SHA-256 for data that arrives in order, e.g. chunks written
+// straight to disk. state() can be stored in IndexedDB and passed back in
+// to carry on after a reload; it reads @noble/hashes' SHA-256 internals
+// (the eight state words, the partial block and the length).
+export function createHasher(saved) {
+  const hasher = sha256.create();
+  if (saved) {
+    hasher.set(...saved.words);
+    hasher.buffer.set(saved.buffer);
+    hasher.pos = saved.buffer.length;
+    hasher.length = saved.length;
+  }
+  let hex = null;
+
+  return {
+    update: (buffer) => hasher.update(new Uint8Array(buffer)),
+    state: () => ({
+      words: hasher.get(),
+      buffer: hasher.buffer.slice(0, hasher.pos),
+      length: hasher.length
+    }),
+    hex: () => {
+      if (!hex) hex = bytesToHex(hasher.digest());
+      return hex;
+    }
+  };
+}
+
+// [32-byte digest][payload]
+export function frameChunk(digest, payload) {
+  const framed = new Uint8Array(DIGEST_SIZE + payload.byteLength);
+  framed.set(digest, 0);
+  framed.set(new Uint8Array(payload), DIGEST_SIZE);
+  return framed.buffer;
+}
+
+export function unframeChunk(buffer) {
+  return {
+    digest: new Uint8Array(buffer, 0, DIGEST_SIZE),
+    payload: buffer.slice(DIGEST_SIZE)
+  };
+}
+
+export function sameDigest(a, b) {
+  if (a.length !== b.length) return false;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return false;
+  }
+  return true;
+}
+
+export class IntegrityError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "IntegrityError";
+  }
+}
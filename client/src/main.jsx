@@ -1,16 +1,9 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
 import App from './App.jsx'
+import { registerServiceWorker } from './pwa'
 import './styles.css'
 
 ReactDOM.createRoot(document.getElementById('root')).render(<App />)
 
-if ('serviceWorker' in navigator) {
-  window.addEventListener('load', () => {
-    navigator.serviceWorker.register('/sw.js').then((registration) => {
-      console.log('Service Worker registered:', registration);
-    }).catch((error) => {
-      console.log('Service Worker registration failed:', error);
-    });
-  });
-}
+registerServiceWorker()
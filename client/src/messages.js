@@ -0,0 +1,88 @@
+// messages.js
+// Text, links and small pasted images exchanged during a session. They are
+// shown inline in a chat-style log instead of being downloaded, and travel
+// as single encrypted DataChannel messages (see sendMessageOverRTC).
+
+// The longest text a message may carry; the other side drops anything
+// longer. Whether a message fits in one DataChannel message is only known
+// once it is encoded (see sendMessageOverRTC), and one that doesn't is
+// sent as a file instead.
+export const MAX_TEXT_LENGTH = 64 * 1024;
+// Larger images go straight to the send queue as files
+export const MAX_INLINE_IMAGE_BYTES = 96 * 1024;
+
+const INLINE_IMAGE = /^data:image\/(png|jpeg|gif|webp);base64,[A-Za-z0-9+/=]+$/;
+
+// Only http(s) counts as a link, so opening one can never run script
+export function isLink(text) {
+  const value = text.trim();
+  if (/\s/.test(value)) return false;
+
+  try {
+    const url = new URL(value);
+    return url.protocol === "http:" || url.protocol === "https:";
+  } catch (err) {
+    return false;
+  }
+}
+
+export function createTextMessage(text) {
+  return {
+    id: crypto.randomUUID(),
+    type: isLink(text) ? "link" : "text",
+    text,
+    sentAt: Date.now()
+  };
+}
+
+// Resolves with null if the image is too large to send inline
+export async function createImageMessage(blob) {
+  if (blob.size > MAX_INLINE_IMAGE_BYTES) return null;
+
+  const dataUrl = await new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+  if (!INLINE_IMAGE.test(dataUrl)) return null;
+
+  return { id: crypto.randomUUID(), type: "image", dataUrl, sentAt: Date.now() };
+}
+
+// A received message comes from the other device: keep only what can be
+// rendered safely, or null
+export function sanitizeMessage(message) {
+  if (!message || typeof message.id !== "string") return null;
+  const sentAt = Number(message.sentAt) || Date.now();
+
+  if (message.type === "image") {
+    if (typeof message.dataUrl !== "string" || !INLINE_IMAGE.test(message.dataUrl)) return null;
+    return { id: message.id, type: "image", dataUrl: message.dataUrl, sentAt };
+  }
+
+  if (typeof message.text !== "string" || message.text.length > MAX_TEXT_LENGTH) return null;
+  return {
+    id: message.id,
+    type: isLink(message.text) ? "link" : "text",
+    text: message.text,
+    sentAt
+  };
+}
+
+// ---------- ENCODING ----------
+
+export function bytesToBase64(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+export function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
@@ -0,0 +1,61 @@
+// nearby.js
+// How this device shows up to nearby ones (see joinPresence in
+// Signaling.js): a name, by default the browser and system it runs on, and
+// an optional team room for devices that don't share a network. It only
+// shows up once the user has turned `visible` on. All three are kept in
+// localStorage.
+
+const SETTINGS_KEY = "send-anywhere-lite-nearby";
+const MAX_NAME_LENGTH = 40;
+
+const BROWSERS = [
+  [/Edg\//, "Edge"],
+  [/OPR\/|Opera/, "Opera"],
+  [/Firefox\//, "Firefox"],
+  [/Chrome\//, "Chrome"],
+  [/Safari\//, "Safari"]
+];
+const SYSTEMS = [
+  [/Android/, "Android"],
+  [/iPhone/, "iPhone"],
+  [/iPad/, "iPad"],
+  [/Windows/, "Windows"],
+  [/Mac OS X|Macintosh/, "Mac"],
+  [/CrOS/, "ChromeOS"],
+  [/Linux/, "Linux"]
+];
+
+const match = (table, ua) => table.find(([pattern]) => pattern.test(ua))?.[1];
+
+// e.g. "Firefox on Android"
+export function defaultDeviceName(ua = navigator.userAgent) {
+  const browser = match(BROWSERS, ua) || "Browser";
+  const system = match(SYSTEMS, ua);
+  return system ? `${browser} on ${system}` : browser;
+}
+
+// { name, team, visible }
+export function getNearbySettings() {
+  const defaults = { name: defaultDeviceName(), team: "", visible: false };
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY)) || {};
+    return {
+      name: typeof saved.name === "string" && saved.name.trim() ? saved.name : defaults.name,
+      team: typeof saved.team === "string" ? saved.team : defaults.team,
+      visible: saved.visible === true
+    };
+  } catch (err) {
+    return defaults;
+  }
+}
+
+// A blank name goes back to the default
+export function saveNearbySettings({ name, team, visible }) {
+  const settings = {
+    name: name.trim().slice(0, MAX_NAME_LENGTH) || defaultDeviceName(),
+    team: team.trim(),
+    visible: Boolean(visible)
+  };
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  return settings;
+}
@@ -0,0 +1,213 @@
+// pake.js
+// End-to-end session keys derived from the pairing code.
+//
+// The signaling server relays every SDP and knows the room part of the code,
+// so it could stand in the middle of the WebRTC handshake. To rule that out
+// the code shown to users is "<room>-<secret>": the server only ever sees
+// <room>, and the secret (4 digits, or 3 words in a word code) is the
+// password of a CPace-style exchange over ristretto255, together with the
+// sender's own password if it set one. The resulting key
+//   - encrypts every file chunk with AES-GCM, and
+//   - authenticates both DTLS fingerprints, so a relay that swapped the SDP
+//     produces a confirmation mismatch instead of a silent MITM.
+// Guessing the secret online gives an attacker one try per code: a failed
+// confirmation ends the session (see webrtc.js), and the code with it.
+
+import { ristretto255, ristretto255_hasher } from "@noble/curves/ed25519.js";
+import { bytesToNumberLE } from "@noble/curves/utils.js";
+import { sha512 } from "@noble/hashes/sha2.js";
+import {
+  bytesToHex,
+  hexToBytes,
+  concatBytes,
+  randomBytes,
+  utf8ToBytes
+} from "@noble/hashes/utils.js";
+import { WORDS } from "./words.js";
+
+const { Point } = ristretto255;
+const DST = utf8ToBytes("send-anywhere-lite-CPace-ristretto255-v1");
+const IV_SIZE = 12;
+const TAG_SIZE = 16;
+
+// Bytes an encrypted chunk carries on top of its plaintext
+export const ENVELOPE_OVERHEAD = IV_SIZE + TAG_SIZE;
+
+// reason: "mismatch", "password-required" when the code needs the
+// sender's password and none was given, or "interrupted" when the
+// connection went away before either side could tell
+export class PairingError extends Error {
+  constructor(message, reason = "mismatch") {
+    super(message);
+    this.name = "PairingError";
+    this.reason = reason;
+  }
+}
+
+// ---------- PAIRING CODE ----------
+
+// A numeric code is a 6-digit room and a 4-digit secret. A word code,
+// e.g. "482913-tiger-orbit-lamp", has the same room and three words as
+// its secret (24 bits rather than about 13).
+const SECRET_DIGITS = 4;
+const SECRET_WORDS = 3;
+const NUMERIC_CODE = /^(\d{6})-(\d{4})$/;
+const WORD_CODE = /^(\d{6})-([a-z]+(?:-[a-z]+){2})$/;
+
+export function generatePairingSecret({ words = false } = {}) {
+  if (words) {
+    return [...randomBytes(SECRET_WORDS)].map((byte) => WORDS[byte]).join("-");
+  }
+  const n = bytesToNumberLE(randomBytes(8)) % BigInt(10 ** SECRET_DIGITS);
+  return n.toString().padStart(SECRET_DIGITS, "0");
+}
+
+export function formatPairingCode(room, secret) {
+  return `${room}-${secret}`;
+}
+
+// "123456-7890" -> { room: "123456", secret: "7890" },
+// "482913 Tiger orbit-lamp" -> { room: "482913", secret: "tiger-orbit-lamp" },
+// or null if malformed
+export function parsePairingCode(code) {
+  const text = code.trim().toLowerCase().replace(/[\s-]+/g, "-");
+  const match = NUMERIC_CODE.exec(text) || WORD_CODE.exec(text);
+  if (!match) return null;
+  if (match[2].includes("-") && !match[2].split("-").every((word) => WORDS.includes(word))) {
+    return null;
+  }
+  return { room: match[1], secret: match[2] };
+}
+
+// What both sides feed the key exchange: the code's secret and, if the
+// sender set one, its password, hashed down to a fixed length
+export function getPakePassword(secret, password = "") {
+  if (!password) return secret;
+  return bytesToHex(sha512(utf8ToBytes(`${secret}\u0000${password.normalize("NFKC")}`)));
+}
+
+// ---------- CPACE ----------
+
+// Length-prefix every field so concatenations cannot be ambiguous
+function lv(bytes) {
+  return concatBytes(new Uint8Array([bytes.length]), bytes);
+}
+
+function randomScalar() {
+  const scalar = Point.Fn.create(bytesToNumberLE(randomBytes(64)));
+  return scalar === 0n ? randomScalar() : scalar;
+}
+
+// Both sides derive the same secret generator from the password and the
+// session id; only someone who knows the password can compute with it.
+export function startPake(password, sid) {
+  const g = ristretto255_hasher.hashToCurve(
+    concatBytes(lv(utf8ToBytes(password)), lv(utf8ToBytes(sid))),
+    { DST }
+  );
+  const scalar = randomScalar();
+  return { scalar, sid, share: bytesToHex(g.multiply(scalar).toBytes()) };
+}
+
+// Returns the intermediate session key shared by both sides. Shares are
+// ordered sender first so the transcript is the same on both ends.
+export function finishPake(state, senderShare, receiverShare, peerShare) {
+  const peer = Point.fromBytes(hexToBytes(peerShare));
+  if (peer.is0()) throw new PairingError("Invalid key share");
+
+  const shared = peer.multiply(state.scalar);
+  if (shared.is0()) throw new PairingError("Invalid key share");
+
+  return sha512(concatBytes(
+    utf8ToBytes("send-anywhere-lite ISK"),
+    lv(utf8ToBytes(state.sid)),
+    lv(shared.toBytes()),
+    lv(hexToBytes(senderShare)),
+    lv(hexToBytes(receiverShare))
+  ));
+}
+
+// ---------- SESSION KEYS ----------
+
+export async function deriveSessionKeys(isk) {
+  const base = await crypto.subtle.importKey("raw", isk, "HKDF", false, ["deriveKey"]);
+  const params = (info) => ({
+    name: "HKDF",
+    hash: "SHA-256",
+    salt: new Uint8Array(0),
+    info: utf8ToBytes(info)
+  });
+
+  const aesKey = await crypto.subtle.deriveKey(
+    params("chunks"),
+    base,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+  const macKey = await crypto.subtle.deriveKey(
+    params("confirm"),
+    base,
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign", "verify"]
+  );
+
+  return { aesKey, macKey };
+}
+
+// "a=fingerprint:sha-256 AB:CD:..." from a session description
+export function getFingerprint(description) {
+  const match = /a=fingerprint:(\S+) (\S+)/i.exec(description?.sdp || "");
+  if (!match) throw new PairingError("Missing DTLS fingerprint");
+  return `${match[1].toLowerCase()} ${match[2].toUpperCase()}`;
+}
+
+function confirmationData(role, fingerprints) {
+  return utf8ToBytes(`${role}|${fingerprints.sender}|${fingerprints.receiver}`);
+}
+
+export async function createConfirmation(macKey, role, fingerprints) {
+  const tag = await crypto.subtle.sign("HMAC", macKey, confirmationData(role, fingerprints));
+  return bytesToHex(new Uint8Array(tag));
+}
+
+export function verifyConfirmation(macKey, role, fingerprints, tag) {
+  return crypto.subtle.verify(
+    "HMAC",
+    macKey,
+    hexToBytes(tag),
+    confirmationData(role, fingerprints)
+  );
+}
+
+// ---------- CHUNK ENCRYPTION ----------
+// [12-byte IV][ciphertext + 16-byte tag]. The additional data ties each
+// chunk to its transfer and position so chunks cannot be replayed or moved.
+
+function chunkAad(transferId, index) {
+  return utf8ToBytes(`${transferId}#${index}`);
+}
+
+export async function encryptChunk(key, transferId, index, plaintext) {
+  const iv = randomBytes(IV_SIZE);
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv, additionalData: chunkAad(transferId, index) },
+    key,
+    plaintext
+  );
+  return concatBytes(iv, new Uint8Array(ciphertext)).buffer;
+}
+
+// Rejects if the chunk was tampered with or encrypted under another key
+export function decryptChunk(key, transferId, index, buffer) {
+  return crypto.subtle.decrypt(
+    {
+      name: "AES-GCM",
+      iv: new Uint8Array(buffer, 0, IV_SIZE),
+      additionalData: chunkAad(transferId, index)
+    },
+    key,
+    new Uint8Array(buffer, IV_SIZE)
+  );
+}
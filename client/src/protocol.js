@@ -0,0 +1,166 @@
+// protocol.js
+// The DataChannel wire protocol, shared by every peer: webrtc.js in the
+// browser and, through it, the command-line peer. Nothing here touches the
+// browser, so it runs as is in Node.
+//
+// Text messages are JSON objects tagged with `kind`; binary messages are
+// file chunks. "From" and "to" are whichever side is sending the batch;
+// both directions share the channels.
+//   hello     both ways  { version, minVersion, capabilities }
+//   confirm   both ways  { tag }
+//   control   both ways  { action: "pause" | "resume" | "cancel" | "end" }
+//   manifest  from -> to { files: [{ transferId, filename, path, size, type, thumbnail }], more? }
+//   decision  to -> from { accepted: [transferId] }
+//   file      from -> to { transferId, stream, filename, path, size, type, chunkSize, sha256 }
+//   resume    to -> from { transferId, chunkIndex, chunkSize }
+//   eof       from -> to { transferId, stream, chunks }, after a file's last chunk
+//   ack       to -> from { transferId }, once the whole file matched its SHA-256
+//   error     both ways  { code, message, transferId? }
+//   message   both ways  { id, data }, data being an encrypted messages.js message
+//
+// hello is the first thing each side sends once the channel opens. A peer
+// whose first message is anything else predates versioning and is turned
+// away, as is one whose version range doesn't overlap ours; both ends then
+// know why (see negotiate). Capabilities name optional features; one is
+// only used when both sides announced it:
+//   lanes     chunks may arrive on extra "file-<n>" channels
+//   ack       files are acknowledged once verified
+//   messages  text, links and images inline
+//   parts     a long manifest comes in several messages, each but the last
+//             with `more: true`, so none outgrows the channel's message size
+// Messages of an unknown kind, or missing a field, are ignored, so a newer
+// peer can add kinds behind a capability without breaking older ones.
+//
+// A chunk is an 8-byte header, [u32 stream][u32 index] big-endian, then
+// the chunk AES-GCM encrypted under the session key. `stream` ties it to a
+// "file" message, so chunks can arrive on any channel in any order. The
+// resume reply names the chunk size to continue with: the one the
+// transfer started with, if part of it is already here. The file is
+// complete once every chunk up to eof's `chunks` is in.
+
+export const PROTOCOL_VERSION = 1;
+// The oldest peer version this one still talks to
+export const MIN_PROTOCOL_VERSION = 1;
+export const CAPABILITIES = ["lanes", "ack", "messages", "parts"];
+
+export const CHUNK_HEADER_SIZE = 8;
+
+export class ProtocolError extends Error {
+  // code: "outdated-peer" | "outdated-self", or an error code from the peer
+  constructor(code, message, transferId = null) {
+    super(message);
+    this.name = "ProtocolError";
+    this.code = code;
+    this.transferId = transferId;
+  }
+}
+
+// ---------- MESSAGES ----------
+
+// Required fields and their types; anything else rides along unchecked
+const FIELDS = {
+  hello: { version: "number", minVersion: "number", capabilities: "array" },
+  confirm: { tag: "string" },
+  control: { action: "string" },
+  manifest: { files: "array" },
+  decision: { accepted: "array" },
+  file: {
+    transferId: "string",
+    stream: "number",
+    filename: "string",
+    path: "string",
+    size: "number",
+    type: "string",
+    chunkSize: "number",
+    sha256: "string"
+  },
+  resume: { transferId: "string", chunkIndex: "number", chunkSize: "number" },
+  eof: { transferId: "string", stream: "number", chunks: "number" },
+  ack: { transferId: "string" },
+  error: { code: "string", message: "string" },
+  message: { id: "string", data: "string" }
+};
+
+function hasType(value, type) {
+  return type === "array" ? Array.isArray(value) : typeof value === type;
+}
+
+function isValid(msg) {
+  const fields = msg && FIELDS[msg.kind];
+  if (!fields) return false;
+  return Object.entries(fields).every(([name, type]) => hasType(msg[name], type));
+}
+
+// The text of a message, checked like one coming in, so a malformed
+// message fails here rather than on the other device
+export function encodeMessage(kind, fields = {}) {
+  const msg = { kind, ...fields };
+  if (!isValid(msg)) throw new Error(`Malformed "${kind}" message`);
+  return JSON.stringify(msg);
+}
+
+// A message from the other device, or null if it isn't one we understand
+export function decodeMessage(data) {
+  if (typeof data !== "string") return null;
+  try {
+    const msg = JSON.parse(data);
+    return isValid(msg) ? msg : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// ---------- NEGOTIATION ----------
+
+export function createHello() {
+  return encodeMessage("hello", {
+    version: PROTOCOL_VERSION,
+    minVersion: MIN_PROTOCOL_VERSION,
+    capabilities: CAPABILITIES
+  });
+}
+
+// What the two sides share, from the first message the peer sent: its
+// hello, or whatever an unversioned peer sent instead. Throws a
+// ProtocolError saying which side needs updating when there is nothing.
+export function negotiate(first) {
+  if (!first || first.kind !== "hello" || first.version < MIN_PROTOCOL_VERSION) {
+    throw new ProtocolError(
+      "outdated-peer",
+      "The other device runs an older version of the app. Update it and try again."
+    );
+  }
+  if (first.minVersion > PROTOCOL_VERSION) {
+    throw new ProtocolError(
+      "outdated-self",
+      "The other device needs a newer version of this app. Update it and try again."
+    );
+  }
+
+  return {
+    version: Math.min(first.version, PROTOCOL_VERSION),
+    capabilities: CAPABILITIES.filter((name) => first.capabilities.includes(name))
+  };
+}
+
+// ---------- CHUNKS ----------
+
+export function encodeChunk(stream, index, encrypted) {
+  const chunk = new Uint8Array(CHUNK_HEADER_SIZE + encrypted.byteLength);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, stream);
+  view.setUint32(4, index);
+  chunk.set(new Uint8Array(encrypted), CHUNK_HEADER_SIZE);
+  return chunk.buffer;
+}
+
+// { stream, index, body }, or null for anything too short to be a chunk
+export function decodeChunk(data) {
+  if (!(data instanceof ArrayBuffer) || data.byteLength < CHUNK_HEADER_SIZE) return null;
+  const view = new DataView(data, 0, CHUNK_HEADER_SIZE);
+  return {
+    stream: view.getUint32(0),
+    index: view.getUint32(4),
+    body: data.slice(CHUNK_HEADER_SIZE)
+  };
+}
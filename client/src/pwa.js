@@ -0,0 +1,62 @@
+// pwa.js
+// Service worker registration and updates. A new deploy installs a new
+// worker (see public/sw.js), which waits rather than swapping the app out
+// from under a running transfer; onUpdateAvailable tells the page so it can
+// offer a reload, and applyUpdate switches over.
+
+let waiting = null;
+const listeners = new Set();
+
+function setWaiting(worker) {
+  waiting = worker;
+  listeners.forEach((listener) => listener());
+}
+
+export function registerServiceWorker() {
+  if (!("serviceWorker" in navigator)) return;
+
+  window.addEventListener("load", async () => {
+    let registration;
+    try {
+      registration = await navigator.serviceWorker.register("/sw.js");
+      console.log("⚙️ Service Worker registered");
+    } catch (err) {
+      console.warn("⚠️ Service Worker registration failed", err);
+      return;
+    }
+
+    // Only an update waits; the first worker takes over straight away
+    if (registration.waiting && navigator.serviceWorker.controller) {
+      setWaiting(registration.waiting);
+    }
+    registration.addEventListener("updatefound", () => {
+      const worker = registration.installing;
+      worker.addEventListener("statechange", () => {
+        if (worker.state === "installed" && navigator.serviceWorker.controller) {
+          setWaiting(worker);
+        }
+      });
+    });
+  });
+}
+
+// callback() fires once a new version is ready, straight away if it already
+// is. Returns a function that stops listening.
+export function onUpdateAvailable(callback) {
+  listeners.add(callback);
+  if (waiting) callback();
+  return () => listeners.delete(callback);
+}
+
+// Activates the waiting worker and reloads once it controls the page
+export function applyUpdate() {
+  if (!waiting) return;
+
+  let reloading = false;
+  navigator.serviceWorker.addEventListener("controllerchange", () => {
+    if (reloading) return;
+    reloading = true;
+    window.location.reload();
+  });
+  waiting.postMessage({ type: "skip-waiting" });
+}
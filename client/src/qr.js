@@ -0,0 +1,91 @@
+// qr.js
+// Pairing by link or QR code instead of typing the code.
+//
+// The link carries the full pairing code in the URL fragment
+// ("/?mode=receive#code=123456-7890"), which browsers never send to the web
+// server, so the PAKE secret stays on the two devices. "?code=" is accepted
+// too, for links typed by hand.
+
+import QRCode from "qrcode";
+
+const SCAN_INTERVAL_MS = 250;
+
+export function createPairingLink(code) {
+  const url = new URL(window.location.origin + window.location.pathname);
+  url.searchParams.set("mode", "receive");
+  url.hash = `code=${code}`;
+  return url.toString();
+}
+
+// { mode, code } from a URL (the app's own address or a scanned link);
+// either may be null
+export function readPairingLink(href) {
+  try {
+    const url = new URL(href, window.location.href);
+    const hash = new URLSearchParams(url.hash.slice(1));
+    const mode = url.searchParams.get("mode");
+    return {
+      mode: mode === "send" || mode === "receive" ? mode : null,
+      code: hash.get("code") || url.searchParams.get("code")
+    };
+  } catch (err) {
+    return { mode: null, code: null };
+  }
+}
+
+export function createQrDataUrl(text) {
+  return QRCode.toDataURL(text, { margin: 1, width: 220, errorCorrectionLevel: "M" });
+}
+
+// Read QR codes from the rear camera into `video` until stop() is called.
+// onResult(text) fires for every code seen. Uses the browser's
+// BarcodeDetector where there is one and jsQR on a canvas otherwise; jsQR is
+// only downloaded when it is needed.
+export async function startQrScanner(video, onResult) {
+  const stream = await navigator.mediaDevices.getUserMedia({
+    video: { facingMode: "environment" },
+    audio: false
+  });
+  video.srcObject = stream;
+  video.setAttribute("playsinline", "");
+  await video.play();
+
+  const detector = "BarcodeDetector" in window
+    ? new window.BarcodeDetector({ formats: ["qr_code"] })
+    : null;
+  const jsQR = detector ? null : (await import("jsqr")).default;
+  const canvas = document.createElement("canvas");
+  const context = canvas.getContext("2d", { willReadFrequently: true });
+  let stopped = false;
+  let timer = null;
+
+  const scan = async () => {
+    if (stopped) return;
+
+    try {
+      if (detector) {
+        const [code] = await detector.detect(video);
+        if (code) onResult(code.rawValue);
+      } else if (video.videoWidth > 0) {
+        canvas.width = video.videoWidth;
+        canvas.height = video.videoHeight;
+        context.drawImage(video, 0, 0);
+        const image = context.getImageData(0, 0, canvas.width, canvas.height);
+        const code = jsQR(image.data, image.width, image.height);
+        if (code) onResult(code.data);
+      }
+    } catch (err) {
+      console.warn("⚠️ QR scan failed", err);
+    }
+
+    if (!stopped) timer = setTimeout(scan, SCAN_INTERVAL_MS);
+  };
+  scan();
+
+  return function stop() {
+    stopped = true;
+    clearTimeout(timer);
+    stream.getTracks().forEach((track) => track.stop());
+    video.srcObject = null;
+  };
+}
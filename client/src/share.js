@@ -0,0 +1,41 @@
+// share.js
+// Files shared to the app from the system share sheet. The service worker
+// keeps them in IndexedDB and opens the app with ?share=<id>; the page
+// takes them from there, once.
+
+const DB_NAME = "send-anywhere-lite-share";
+const STORE = "shares"; // id -> [File]
+
+function openDB() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(STORE);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// The share id from the app's address, if it was opened by a share
+export function readShareId(href) {
+  try {
+    return new URL(href).searchParams.get("share");
+  } catch (err) {
+    return null;
+  }
+}
+
+// The shared files, removed from storage; empty if they are gone
+export async function takeSharedFiles(id) {
+  if (!("indexedDB" in window)) return [];
+
+  const db = await openDB();
+  const tx = db.transaction(STORE, "readwrite");
+  const store = tx.objectStore(STORE);
+  const files = await new Promise((resolve, reject) => {
+    const req = store.get(id);
+    req.onsuccess = () => resolve(req.result || []);
+    req.onerror = () => reject(req.error);
+  });
+  store.delete(id);
+  return files;
+}
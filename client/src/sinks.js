@@ -0,0 +1,258 @@
+// sinks.js
+// Where received chunks go. Every sink has the same shape:
+//   savedChunks()         -> chunks already written (the resume point)
+//   write(index, payload) -> append one verified chunk
+//   sha256()              -> hex digest of everything written
+//   close()               -> commit; resolves with a Blob or null if the
+//                            data already went to disk
+//   abort()               -> discard everything written
+//
+// Small files go to the IndexedDB store and are downloaded as a Blob at the
+// end. Large ones are streamed to disk through the File System Access API
+// or, failing that, through the service worker as a download response. A
+// folder batch can be written into a directory the user picked, keeping
+// each file's relative path. Streamed files keep their progress in
+// IndexedDB too, so they carry on after a reload.
+
+import {
+  getSavedChunkCount,
+  saveChunk,
+  assembleFile,
+  clearTransfer,
+  getProgress,
+  saveProgress
+} from "./transferStore.js";
+import { hashFile, createHasher } from "./integrity.js";
+import { splitPath } from "./folders.js";
+
+export const STREAM_THRESHOLD = 100 * 1024 * 1024;
+
+// The save picker needs a user gesture, so the UI has to ask for it
+export function canPickSaveFile(meta) {
+  return meta.size > STREAM_THRESHOLD && "showSaveFilePicker" in window;
+}
+
+export function createSink(meta) {
+  if (meta.size > STREAM_THRESHOLD && navigator.serviceWorker?.controller) {
+    return createDownloadSink(meta);
+  }
+  return createStoreSink(meta);
+}
+
+// ---------- INDEXEDDB (small files) ----------
+export function createStoreSink(meta) {
+  let blob = null;
+  const assemble = async () => {
+    if (!blob) blob = await assembleFile(meta.transferId, meta.type);
+    return blob;
+  };
+
+  return {
+    savedChunks: () => getSavedChunkCount(meta.transferId),
+    write: (index, payload) => saveChunk(meta.transferId, meta, index, payload),
+    sha256: async () => hashFile(await assemble()),
+    close: async () => {
+      const file = await assemble();
+      await clearTransfer(meta.transferId);
+      return file;
+    },
+    abort: () => clearTransfer(meta.transferId)
+  };
+}
+
+// ---------- FILE SYSTEM ACCESS ----------
+// Must be called from a user gesture. After a reload the file picked the
+// first time is reused, if the browser lets us write to it again.
+export async function createFileSink(meta) {
+  const saved = await getProgress(meta.transferId);
+  if (saved?.kind === "file") {
+    const permission = await saved.handle
+      .requestPermission({ mode: "readwrite" })
+      .catch(() => "denied");
+    if (permission === "granted") return createHandleSink(saved.handle, meta);
+  }
+
+  const handle = await window.showSaveFilePicker({ suggestedName: meta.filename });
+  return createHandleSink(handle, meta);
+}
+
+// `root` comes from showDirectoryPicker(), which needs the user gesture
+// instead. An aborted file is removed again rather than left empty.
+export async function createDirectorySink(root, meta) {
+  const parts = splitPath(meta.path, meta.filename);
+  const name = parts.pop();
+
+  let dir = root;
+  for (const part of parts) {
+    dir = await dir.getDirectoryHandle(part, { create: true });
+  }
+
+  const sink = await createHandleSink(await dir.getFileHandle(name, { create: true }), meta);
+  return {
+    ...sink,
+    abort: async () => {
+      await sink.abort();
+      await dir.removeEntry(name).catch(() => {});
+    }
+  };
+}
+
+// Writes only reach the file when the writable closes, so it is committed
+// every so often and the progress saved, to carry on after a reload.
+// Reopening copies the file, so commits get further apart as it grows.
+// abort() empties the file again.
+const CHECKPOINT_BYTES = 32 * 1024 * 1024;
+
+async function createHandleSink(handle, meta) {
+  const saved = await getProgress(meta.transferId);
+  const resume = saved?.kind === "file" &&
+    saved.chunkSize === meta.chunkSize &&
+    await saved.handle.isSameEntry(handle) &&
+    (await handle.getFile()).size >= saved.bytes;
+
+  const hasher = createHasher(resume ? saved.hash : undefined);
+  let chunks = resume ? saved.chunks : 0;
+  let written = resume ? saved.bytes : 0;
+  let committed = written;
+  let writable = await openWritable(handle, written);
+
+  async function checkpoint() {
+    await writable.close();
+    committed = written;
+    await saveProgress(meta.transferId, {
+      kind: "file",
+      handle,
+      chunkSize: meta.chunkSize,
+      chunks,
+      bytes: written,
+      hash: hasher.state()
+    });
+    writable = await openWritable(handle, written);
+  }
+
+  return {
+    savedChunks: async () => chunks,
+    write: async (index, payload) => {
+      hasher.update(payload);
+      await writable.write(payload);
+      written += payload.byteLength;
+      chunks = index + 1;
+      if (written - committed >= Math.max(CHECKPOINT_BYTES, committed / 2)) await checkpoint();
+    },
+    sha256: async () => hasher.hex(),
+    close: async () => {
+      await writable.close();
+      await clearTransfer(meta.transferId);
+      return null;
+    },
+    abort: async () => {
+      await writable.abort();
+      if (committed > 0) await (await openWritable(handle, 0)).close();
+      await clearTransfer(meta.transferId);
+    }
+  };
+}
+
+// Carries on after the first `bytes` of the file, dropping anything later
+async function openWritable(handle, bytes) {
+  const writable = await handle.createWritable({ keepExistingData: bytes > 0 });
+  if (bytes > 0) {
+    await writable.truncate(bytes);
+    await writable.seek(bytes);
+  }
+  return writable;
+}
+
+// ---------- SERVICE WORKER DOWNLOAD ----------
+// sw.js answers /__download/<id> with a stream fed through a MessageChannel.
+// Aborting errors the stream, which the browser reports as a failed download.
+// The stream lives in the worker, so a reloaded page can go on feeding it
+// from where it stopped, as long as the worker still has it. A worker that
+// doesn't answer in time gets the file kept in IndexedDB instead.
+const SW_READY_TIMEOUT_MS = 5000;
+
+export async function createDownloadSink(meta) {
+  const saved = await getProgress(meta.transferId);
+  let download = null;
+
+  if (saved?.kind === "download" && saved.chunkSize === meta.chunkSize) {
+    const reply = await connectDownload({ type: "download", id: saved.id, resume: true });
+    if (reply?.ready && reply.bytes === saved.bytes) {
+      download = { ...saved, port: reply.port, iframe: null };
+    } else if (reply?.ready) {
+      // The worker got further than we know of; that download is lost
+      reply.port.postMessage({ abort: true });
+    }
+  }
+
+  if (!download) {
+    const id = crypto.randomUUID();
+    const reply = await connectDownload({
+      type: "download",
+      id,
+      filename: meta.filename,
+      size: meta.size,
+      mime: meta.type
+    });
+    if (!reply?.ready) {
+      console.warn("⚠️ Service worker did not answer, keeping the file in IndexedDB");
+      return createStoreSink(meta);
+    }
+
+    const iframe = document.createElement("iframe");
+    iframe.hidden = true;
+    iframe.src = `/__download/${id}`;
+    document.body.appendChild(iframe);
+    download = { id, chunks: 0, bytes: 0, port: reply.port, iframe };
+  }
+
+  const { id, port, iframe } = download;
+  const hasher = createHasher(download.hash);
+  let { chunks, bytes } = download;
+
+  return {
+    savedChunks: async () => chunks,
+    write: async (index, payload) => {
+      hasher.update(payload);
+      bytes += payload.byteLength;
+      chunks = index + 1;
+      port.postMessage({ chunk: payload }, [payload]);
+      await saveProgress(meta.transferId, {
+        kind: "download",
+        id,
+        chunkSize: meta.chunkSize,
+        chunks,
+        bytes,
+        hash: hasher.state()
+      });
+    },
+    sha256: async () => hasher.hex(),
+    close: async () => {
+      port.postMessage({ done: true });
+      await clearTransfer(meta.transferId);
+      // Give the browser time to finish the download before dropping the frame
+      if (iframe) setTimeout(() => iframe.remove(), 60 * 1000);
+      return null;
+    },
+    abort: async () => {
+      port.postMessage({ abort: true });
+      iframe?.remove();
+      await clearTransfer(meta.transferId);
+    }
+  };
+}
+
+// Hands the worker a port for a download; resolves with its reply
+// ({ ready, bytes } and the port), or null if it doesn't answer in time
+function connectDownload(message) {
+  const channel = new MessageChannel();
+
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => resolve(null), SW_READY_TIMEOUT_MS);
+    channel.port1.onmessage = ({ data }) => {
+      clearTimeout(timer);
+      resolve({ ...data, port: channel.port1 });
+    };
+    navigator.serviceWorker.controller.postMessage(message, [channel.port2]);
+  });
+}
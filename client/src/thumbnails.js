@@ -0,0 +1,51 @@
+// thumbnails.js
+// Small JPEG previews for images in the manifest. They travel inside it,
+// so both their size and their number are capped.
+
+const THUMBNAIL_SIZE = 96;
+const MAX_THUMBNAILS = 20;
+const MAX_SOURCE_BYTES = 25 * 1024 * 1024;
+// Far more than a 96px JPEG needs
+const MAX_THUMBNAIL_LENGTH = 64 * 1024;
+
+const JPEG_DATA_URL = /^data:image\/jpeg;base64,[A-Za-z0-9+/=]+$/;
+
+// A thumbnail from the other device is only shown if it is one of ours:
+// an inline JPEG of a sensible size, never a link to anywhere
+export function isThumbnail(value) {
+  return typeof value === "string" && value.length <= MAX_THUMBNAIL_LENGTH && JPEG_DATA_URL.test(value);
+}
+
+export async function createThumbnail(file) {
+  if (!file.type.startsWith("image/") || file.size > MAX_SOURCE_BYTES) {
+    return null;
+  }
+
+  try {
+    const bitmap = await createImageBitmap(file);
+    const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.round(bitmap.width * scale);
+    canvas.height = Math.round(bitmap.height * scale);
+    canvas.getContext("2d").drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+    return canvas.toDataURL("image/jpeg", 0.7);
+  } catch (err) {
+    // Formats the browser cannot decode (e.g. HEIC) simply get no preview
+    return null;
+  }
+}
+
+// Thumbnails for the first few images of a batch, in file order
+export async function createThumbnails(files) {
+  const thumbnails = [];
+  let count = 0;
+
+  for (const file of files) {
+    const thumbnail = count < MAX_THUMBNAILS ? await createThumbnail(file) : null;
+    if (thumbnail) count++;
+    thumbnails.push(thumbnail);
+  }
+
+  return thumbnails;
+}
@@ -0,0 +1,142 @@
+// transferStore.js
+// Persists received chunks in IndexedDB so a transfer can resume after the
+// DataChannel drops or the page reloads. Falls back to memory when
+// IndexedDB is unavailable (private mode, old browsers). The IndexedDB
+// helpers are shared with history.js.
+
+const DB_NAME = "send-anywhere-lite";
+const DB_VERSION = 2;
+const CHUNKS = "chunks";       // [transferId, index] -> Blob
+const TRANSFERS = "transfers"; // transferId -> { transferId, meta, chunks }
+const PROGRESS = "progress";   // transferId -> how far a streamed file got
+
+let dbPromise = null;
+const memory = new Map(); // transferId -> { meta, chunks: Blob[] }
+
+// ---------- INDEXEDDB ----------
+
+// Resolves with the database, or null when IndexedDB can't be used and
+// `what` is kept in memory instead. `upgrade(db)` creates the stores.
+export function openDatabase(name, version, upgrade, what) {
+  if (!("indexedDB" in window)) return Promise.resolve(null);
+
+  return new Promise((resolve) => {
+    const req = indexedDB.open(name, version);
+    req.onupgradeneeded = () => upgrade(req.result);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => {
+      console.warn(`⚠️ IndexedDB unavailable, keeping ${what} in memory`);
+      resolve(null);
+    };
+  });
+}
+
+export function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+export function done(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+function openDB() {
+  if (!dbPromise) {
+    dbPromise = openDatabase(DB_NAME, DB_VERSION, (db) => {
+      if (!db.objectStoreNames.contains(CHUNKS)) {
+        db.createObjectStore(CHUNKS);
+        db.createObjectStore(TRANSFERS, { keyPath: "transferId" });
+      }
+      if (!db.objectStoreNames.contains(PROGRESS)) {
+        db.createObjectStore(PROGRESS, { keyPath: "transferId" });
+      }
+    }, "chunks");
+  }
+  return dbPromise;
+}
+
+// ---------- CHUNKS ----------
+
+// Number of chunks already stored for this transfer (0 if it is new)
+export async function getSavedChunkCount(transferId) {
+  const db = await openDB();
+  if (!db) return memory.get(transferId)?.chunks.length || 0;
+
+  const tx = db.transaction(TRANSFERS, "readonly");
+  const record = await request(tx.objectStore(TRANSFERS).get(transferId));
+  return record ? record.chunks : 0;
+}
+
+export async function saveChunk(transferId, meta, index, data) {
+  const blob = new Blob([data]);
+  const db = await openDB();
+
+  if (!db) {
+    const entry = memory.get(transferId) || { meta, chunks: [] };
+    entry.chunks[index] = blob;
+    memory.set(transferId, entry);
+    return;
+  }
+
+  const tx = db.transaction([CHUNKS, TRANSFERS], "readwrite");
+  tx.objectStore(CHUNKS).put(blob, [transferId, index]);
+  tx.objectStore(TRANSFERS).put({ transferId, meta, chunks: index + 1 });
+  await done(tx);
+}
+
+// Rebuild the file from its stored chunks, in order
+export async function assembleFile(transferId, type) {
+  const db = await openDB();
+
+  if (!db) {
+    return new Blob(memory.get(transferId)?.chunks || [], { type });
+  }
+
+  const tx = db.transaction(CHUNKS, "readonly");
+  const range = IDBKeyRange.bound([transferId, 0], [transferId, Infinity]);
+  const chunks = await request(tx.objectStore(CHUNKS).getAll(range));
+  return new Blob(chunks, { type });
+}
+
+export async function clearTransfer(transferId) {
+  memory.delete(transferId);
+
+  const db = await openDB();
+  if (!db) return;
+
+  const tx = db.transaction([CHUNKS, TRANSFERS, PROGRESS], "readwrite");
+  tx.objectStore(CHUNKS).delete(
+    IDBKeyRange.bound([transferId, 0], [transferId, Infinity])
+  );
+  tx.objectStore(TRANSFERS).delete(transferId);
+  tx.objectStore(PROGRESS).delete(transferId);
+  await done(tx);
+}
+
+// ---------- STREAMED FILES ----------
+// Sinks that write somewhere else (see sinks.js) only keep their progress
+// here, to carry on after a reload. Without IndexedDB there is nothing to
+// carry on from.
+
+export async function getProgress(transferId) {
+  const db = await openDB();
+  if (!db) return null;
+
+  const tx = db.transaction(PROGRESS, "readonly");
+  return (await request(tx.objectStore(PROGRESS).get(transferId))) || null;
+}
+
+export async function saveProgress(transferId, progress) {
+  const db = await openDB();
+  if (!db) return;
+
+  const tx = db.transaction(PROGRESS, "readwrite");
+  tx.objectStore(PROGRESS).put({ ...progress, transferId });
+  await done(tx);
+}
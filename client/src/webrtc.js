@@ -1,78 +1,513 @@
 // webrtc.js
 
+import { createSink } from "./sinks.js";
+import { createThumbnails, isThumbnail } from "./thumbnails.js";
+import { sanitizeMessage, bytesToBase64, base64ToBytes } from "./messages.js";
+import { getRelativePath, safePath } from "./folders.js";
+import {
+  hashChunk,
+  hashFile,
+  frameChunk,
+  unframeChunk,
+  sameDigest,
+  IntegrityError,
+  DIGEST_SIZE
+} from "./integrity.js";
+import {
+  parsePairingCode,
+  getPakePassword,
+  startPake,
+  finishPake,
+  deriveSessionKeys,
+  getFingerprint,
+  createConfirmation,
+  verifyConfirmation,
+  encryptChunk,
+  decryptChunk,
+  ENVELOPE_OVERHEAD,
+  PairingError
+} from "./pake.js";
+import {
+  CHUNK_HEADER_SIZE,
+  ProtocolError,
+  encodeMessage,
+  decodeMessage,
+  createHello,
+  negotiate,
+  encodeChunk,
+  decodeChunk
+} from "./protocol.js";
+
+const DEFAULT_CHUNK_SIZE = 64 * 1024;
+const MIN_CHUNK_SIZE = 16 * 1024;
+const MAX_CHUNK_SIZE = 256 * 1024;
+// Chunks read, hashed and encrypted ahead of the one being sent
+const READ_AHEAD = 4;
+// Bounds for how much may sit in a channel's send buffer
+const MIN_BUFFER = 256 * 1024;
+const MAX_BUFFER = 8 * 1024 * 1024;
+// What a receiver holds for a peer: files and manifest messages in one
+// batch, and chunks waiting for the ones before them in each stream. The
+// sender keeps at most MAX_BUFFER in flight, so it never gets near the
+// pending limits by itself.
+const MAX_MANIFEST_FILES = 10000;
+const MAX_MANIFEST_PARTS = 1000;
+const MAX_PENDING_CHUNKS = 2048;
+const MAX_PENDING_BYTES = 4 * MAX_BUFFER;
+
+// Connection recovery: how long a "disconnected" connection gets to come
+// back on its own, how long each ICE restart gets, and how many to try
+const DISCONNECT_GRACE_MS = 2000;
+const ICE_RESTART_TIMEOUT_MS = 10000;
+const MAX_ICE_RESTARTS = 3;
+// How long a peer whose signaling socket dropped has to rejoin while its
+// peer connection is still up
+const PEER_LEFT_GRACE_MS = 30000;
+
+// A pairing session over `code` (only its room part reaches the server).
+// `isReceiver` only decides who owns the room and makes the offer; once
+// paired either side can send with sendFilesOverRTC until one calls end()
+// or cancel(). Each pairing runs a PAKE over the signaling relay (see
+// pake.js, with { password } mixed in), and onChannelOpen fires once both
+// sides confirmed the key; a failed confirmation closes both ends. The
+// DataChannel protocol is in protocol.js. rtcConfig comes from
+// fetchIceConfig() in Signaling.js.
+//
+// handlers: { onManifest, onFileReceived, onProgress, onChannelOpen, onError,
+//             onRoute, onControl, onPeerLeft, onStateChange, onMessage,
+//             onVerified, chooseSink }
+// onManifest(files) resolves with the accepted transferIds (all if
+// nothing), chooseSink(meta) may return a sink promise (default createSink()
+// from sinks.js), onRoute gets "direct" | "relayed", onControl(action, by)
+// "pause" | "resume" | "cancel" | "end" by "self" | "peer", and
+// onStateChange new -> signaling -> checking -> connected, then
+// disconnected / failed as ICE restarts and reconnects play out.
+//
+// The sender keeps one connection per receiver socket id; per-peer handlers
+// and the getters below take that peerId (default: the latest receiver).
+// { broadcast: true } lets many receivers share the code, { channels: n }
+// spreads chunks over n DataChannels, and { token } rejoins the room after
+// the signaling socket reconnects.
 export function createWebRTCConnection(
   socket,
   code,
   isReceiver,
-  onFileReceived,
-  onProgress,
-  onChannelOpen
+  handlers = {},
+  rtcConfig,
+  { broadcast = false, channels = 1, token = null, password = "" } = {}
 ) {
-  const pc = new RTCPeerConnection({
-    iceServers: [{ urls: "stun:stun.l.google.com:19302" }]
-  });
+  const { onChannelOpen, onError, onRoute, onControl, onPeerLeft, onStateChange } = handlers;
+  const { room, secret } = parsePairingCode(code);
+  const links = new Map(); // receiver's first socket id -> link (sender only)
+  let latest = null;
+  let closed = false;
+  let rejoinToken = token;
+  // The sender knows; the joining side learns it from "room-joined"
+  let usePassword = !isReceiver && Boolean(password);
+  const transfers = new Map(); // transferId -> { meta, sink, writes, failed, done }
 
-  let dataChannel = null;
+  // Key exchange state for one pairing; `key` is set once confirmed, and
+  // `verified` settles with the confirmation either way
+  function newSession() {
+    const current = { pake: null, key: null, failed: false };
+    current.keys = new Promise((resolve, reject) => {
+      current.resolveKeys = resolve;
+      current.rejectKeys = reject;
+    });
+    current.verified = new Promise((resolve, reject) => {
+      current.resolveVerified = resolve;
+      current.rejectVerified = reject;
+    });
+    // Settled only when a DataChannel is waiting on it
+    current.keys.catch(() => {});
+    current.verified.catch(() => {});
+    return current;
+  }
 
-  // ---------- SENDER ----------
-  if (!isReceiver) {
-    dataChannel = pc.createDataChannel("file", { ordered: true });
+  // A link is one RTCPeerConnection with its channel, key exchange and
+  // pause state. A fresh one is built for every pairing, so a dropped
+  // connection can be replaced when the receiver joins the room again; the
+  // pause state carries over to the replacement.
+  // `peerId` is the receiver's socket id when it first joined and stays the
+  // same for handlers; `socketId` is where signals go now, which changes
+  // when the receiver's socket reconnects.
+  function setupLink(peerId = null, socketId = peerId) {
+    const previous = isReceiver ? latest : links.get(peerId);
+    if (previous) retireLink(previous);
 
-    dataChannel.onopen = () => {
-      console.log("✅ DataChannel OPEN (sender)");
-      if (onChannelOpen) onChannelOpen();
+    const link = {
+      peerId,
+      socketId,
+      state: null,
+      restarts: 0,
+      restartTimer: null,
+      leftTimer: null,
+      pc: new RTCPeerConnection(rtcConfig || {
+        iceServers: [{ urls: "stun:stun.l.google.com:19302" }]
+      }),
+      dataChannel: null,
+      // Extra channels that only carry chunks, alongside dataChannel
+      lanes: [],
+      receive: null,
+      // What the peer's hello and ours have in common (see protocol.js)
+      protocol: null,
+      // Remote ICE candidates that came in before the description they
+      // belong to was set
+      candidates: [],
+      remoteReady: false,
+      session: newSession(),
+      control: previous ? previous.control : createTransferControl()
     };
+    const { pc } = link;
 
-    dataChannel.onerror = (e) => {
-      console.error("❌ DataChannel error (sender)", e);
-    };
-  }
+    if (!isReceiver) links.set(peerId, link);
+    latest = link;
+    setState(link, "new");
+
+    // ---------- SENDER ----------
+    if (!isReceiver) {
+      const dc = pc.createDataChannel("file", { ordered: true });
+      dc.binaryType = "arraybuffer";
+      link.dataChannel = dc;
+
+      for (let i = 1; i < channels; i++) {
+        const lane = pc.createDataChannel(`file-${i}`, { ordered: true });
+        lane.binaryType = "arraybuffer";
+        link.lanes.push(lane);
+      }
 
-  // ---------- RECEIVER ----------
-  pc.ondatachannel = (event) => {
-    dataChannel = event.channel;
+      dc.onopen = () => {
+        console.log("✅ DataChannel OPEN (sender)");
+        authenticate(link, dc);
+      };
 
-    dataChannel.onopen = () => {
-      console.log("✅ DataChannel OPEN (receiver)");
-      if (onChannelOpen) onChannelOpen();
+      dc.onerror = (e) => {
+        console.error("❌ DataChannel error (sender)", e);
+      };
+
+      link.receive = setupReceive(dc, transfers, handlers, link);
+      link.lanes.forEach(link.receive.addLane);
+    }
+
+    // ---------- RECEIVER ----------
+    pc.ondatachannel = (event) => {
+      const dc = event.channel;
+      dc.binaryType = "arraybuffer";
+
+      if (dc.label !== "file") {
+        link.lanes.push(dc);
+        if (link.receive) link.receive.addLane(dc);
+        return;
+      }
+      link.dataChannel = dc;
+
+      dc.onopen = () => {
+        console.log("✅ DataChannel OPEN (receiver)");
+        authenticate(link, dc);
+      };
+
+      dc.onerror = (e) => {
+        console.error("❌ DataChannel error (receiver)", e);
+      };
+
+      // Dropped without either side ending the session: re-join so the
+      // sender offers a new connection and transfers resume where they stopped.
+      dc.onclose = () => {
+        if (closed || link !== latest || link.session.failed) return;
+        console.log("🔁 DataChannel closed early, reconnecting");
+        startOver();
+      };
+
+      link.receive = setupReceive(dc, transfers, handlers, link);
+      link.lanes.forEach(link.receive.addLane);
     };
 
-    dataChannel.onerror = (e) => {
-      console.error("❌ DataChannel error (receiver)", e);
+    // ---------- CONNECTION STATE ----------
+    pc.oniceconnectionstatechange = () => {
+      if (pc.iceConnectionState === "checking") setState(link, "checking");
     };
+    pc.onconnectionstatechange = () => onConnectionState(link);
 
-    setupReceive(dataChannel, onFileReceived, onProgress);
-  };
+    // ---------- ICE ----------
+    pc.onicecandidate = (event) => {
+      if (event.candidate) {
+        signal(link, { type: "ice", candidate: event.candidate });
+      }
+    };
 
-  // ---------- ICE ----------
-  pc.onicecandidate = (event) => {
-    if (event.candidate) {
-      socket.emit("signal", {
-        code,
-        data: { type: "ice", candidate: event.candidate }
-      });
+    return link;
+  }
+
+  // The sender addresses each receiver; the server routes a receiver's
+  // signals to the sender
+  function signal(link, data) {
+    socket.emit("signal", { code: room, to: isReceiver ? undefined : link.socketId, data });
+  }
+
+  function getLink(peerId) {
+    return peerId === undefined ? latest : links.get(peerId) || null;
+  }
+
+  // The sender's link for whichever socket a receiver is on now
+  function findLink(socketId) {
+    return [...links.values()].find((link) => link.socketId === socketId) || null;
+  }
+
+  function isCurrent(link) {
+    return !closed && (isReceiver ? link === latest : links.get(link.peerId) === link);
+  }
+
+  function joinRoom() {
+    socket.emit("join-room", room, rejoinToken ? { token: rejoinToken } : undefined);
+  }
+
+  // The joining side's way back from a lost connection: a fresh link, and
+  // a join that makes the sender offer again. Without a signaling socket
+  // the join waits for it to reconnect.
+  function startOver() {
+    setupLink();
+    if (socket.connected) joinRoom();
+  }
+
+  // A link that has been replaced or dropped: stop its timers and hang up
+  function retireLink(link) {
+    clearTimeout(link.restartTimer);
+    clearTimeout(link.leftTimer);
+    link.pc.close();
+  }
+
+  // Links a control action from this side applies to
+  function targetLinks(peerId) {
+    if (peerId !== undefined) return [getLink(peerId)].filter(Boolean);
+    return isReceiver ? [latest].filter(Boolean) : [...links.values()];
+  }
+
+  // Hang up on one receiver, leaving the others untouched
+  function dropLink(link) {
+    link.control.cancel();
+    retireLink(link);
+    if (links.get(link.peerId) === link) links.delete(link.peerId);
+    if (latest === link) latest = [...links.values()].pop() || null;
+  }
+
+  if (isReceiver) setupLink();
+
+  // ---------- CONNECTION STATE ----------
+  function setState(link, state) {
+    if (link.state === state || !isCurrent(link)) return;
+    link.state = state;
+    console.log("📶 Connection state:", state);
+    if (onStateChange) onStateChange(state, link.peerId);
+  }
+
+  function onConnectionState(link) {
+    if (!isCurrent(link)) return;
+    const { connectionState } = link.pc;
+
+    if (connectionState === "connected") {
+      const recovered = link.restarts > 0 || link.state === "disconnected";
+      clearTimeout(link.restartTimer);
+      link.restarts = 0;
+      setState(link, "connected");
+      // An ICE restart may have found a different route
+      if (recovered && onRoute) getRoute(link.pc).then((route) => route && onRoute(route, link.peerId));
+      return;
     }
-  };
+
+    // Closed without retireLink: the stack gave up on it (libdatachannel
+    // does after a failed DTLS handshake), so there is nothing to restart
+    if (connectionState === "closed") {
+      if (link.state !== "failed") giveUp(link);
+      return;
+    }
+
+    if (connectionState !== "disconnected" && connectionState !== "failed") return;
+    setState(link, "disconnected");
+
+    // Its signaling went first; this confirms the peer is gone
+    if (link.leftTimer) {
+      peerGone(link);
+      return;
+    }
+
+    // "disconnected" often recovers by itself; "failed" never does
+    if (!link.restartTimer) {
+      scheduleRestart(link, connectionState === "failed" ? 0 : DISCONNECT_GRACE_MS);
+    }
+  }
+
+  function scheduleRestart(link, delayMs) {
+    clearTimeout(link.restartTimer);
+    link.restartTimer = setTimeout(() => restartIce(link), delayMs);
+  }
+
+  // The side that made the offer restarts ICE with a new one; the other
+  // side answers it as usual and only counts the attempts. Time without a
+  // signaling socket doesn't count, since no offer can get through.
+  async function restartIce(link) {
+    link.restartTimer = null;
+    if (!isCurrent(link) || link.pc.connectionState === "connected") return;
+
+    if (!socket.connected) {
+      scheduleRestart(link, ICE_RESTART_TIMEOUT_MS);
+      return;
+    }
+
+    if (link.restarts >= MAX_ICE_RESTARTS) {
+      giveUp(link);
+      return;
+    }
+
+    link.restarts++;
+    scheduleRestart(link, ICE_RESTART_TIMEOUT_MS);
+    if (isReceiver) return;
+
+    console.log("🧊 ICE restart, attempt", link.restarts);
+    try {
+      const offer = await link.pc.createOffer({ iceRestart: true });
+      await link.pc.setLocalDescription(offer);
+      signal(link, { type: "offer", offer });
+    } catch (err) {
+      console.error("❌ ICE restart failed", err);
+    }
+  }
+
+  // Closing the connection unblocks any transfer waiting on it. The joining
+  // side tries again from scratch; the sender waits for it to.
+  function giveUp(link) {
+    console.error("❌ Connection failed");
+    setState(link, "failed");
+    retireLink(link);
+    if (isReceiver) startOver();
+  }
+
+  // ---------- KEY EXCHANGE ----------
+  // The session id names the receiver's socket, so shares from one pairing
+  // in a broadcast room cannot be replayed into another
+  function sendPakeShare(link) {
+    const receiverId = isReceiver ? socket.id : link.socketId;
+    setState(link, "signaling");
+    const pakePassword = getPakePassword(secret, usePassword ? password : "");
+    link.session.pake = startPake(pakePassword, `${room}:${receiverId}`);
+    signal(link, { type: "pake", share: link.session.pake.share });
+  }
+
+  async function receivePakeShare(link, peerShare) {
+    const current = link.session;
+
+    // The receiver answers the sender's share with its own
+    if (isReceiver) sendPakeShare(link);
+    if (!current.pake) return;
+
+    const own = current.pake.share;
+    const [senderShare, receiverShare] = isReceiver ? [peerShare, own] : [own, peerShare];
+
+    try {
+      const isk = finishPake(current.pake, senderShare, receiverShare, peerShare);
+      current.resolveKeys(await deriveSessionKeys(isk));
+    } catch (err) {
+      current.rejectKeys(err);
+    }
+  }
+
+  // Both sides prove they derived the same key and saw the same DTLS
+  // fingerprints before any file data flows. A wrong code and a relay that
+  // tampered with the SDP both end up here as a mismatch.
+  async function authenticate(link, dc) {
+    const { pc, session: current } = link;
+    const role = isReceiver ? "receiver" : "sender";
+    const peerRole = isReceiver ? "sender" : "receiver";
+    // A versioned peer's hello always comes before its confirm
+    const peerHello = waitForMessage(dc, (msg) => msg.kind === "hello" || msg.kind === "confirm");
+    const peerConfirmation = waitForMessage(dc, (msg) => msg.kind === "confirm");
+    dc.send(createHello());
+    // Once ours is out, the peer can check its guess at the secret
+    let confirmSent = false;
+
+    try {
+      link.protocol = negotiate(await peerHello);
+      console.log("🤝 Protocol", link.protocol.version, "with", link.protocol.capabilities.join(", "));
+
+      const keys = await current.keys;
+      const local = getFingerprint(pc.localDescription);
+      const remote = getFingerprint(pc.remoteDescription);
+      const fingerprints = isReceiver
+        ? { sender: remote, receiver: local }
+        : { sender: local, receiver: remote };
+
+      dc.send(encodeMessage("confirm", {
+        tag: await createConfirmation(keys.macKey, role, fingerprints)
+      }));
+      confirmSent = true;
+
+      const { tag } = await peerConfirmation;
+      if (!(await verifyConfirmation(keys.macKey, peerRole, fingerprints, tag))) {
+        throw new PairingError("The other device could not prove it has the code");
+      }
+
+      current.key = keys.aesKey;
+      current.resolveVerified();
+      dc.addEventListener("message", (event) => onControlMessage(link, event));
+      console.log("🔐 Pairing verified");
+      if (!isReceiver) socket.emit("room-paired", room);
+      if (onChannelOpen) onChannelOpen(link.peerId);
+      if (onRoute) getRoute(pc).then((route) => route && onRoute(route, link.peerId));
+    } catch (err) {
+      console.error("❌ Pairing failed", err);
+      current.failed = true;
+      current.rejectVerified(err);
+      dc.close();
+      const known = err instanceof PairingError || err instanceof ProtocolError;
+      const failure = known
+        ? err
+        : new PairingError(err.message, confirmSent ? "mismatch" : "interrupted");
+      if (onError) onError(failure, link.peerId);
+      // A peer that hung up after seeing our confirmation may have learnt
+      // whether its guess was right, so that counts as a wrong guess too.
+      // The first one ends the session and, with the sender gone, the code.
+      const guessed = failure instanceof PairingError && failure.reason === "mismatch";
+      if (guessed && isCurrent(link)) close();
+    }
+  }
 
   // ---------- SIGNALING ----------
+  // Candidates can overtake the offer or answer (libdatachannel sends them
+  // first), so they wait until it is in place
+  async function setRemote(link, description) {
+    link.remoteReady = false;
+    await link.pc.setRemoteDescription(description);
+    link.remoteReady = true;
+    for (const candidate of link.candidates.splice(0)) {
+      await link.pc.addIceCandidate(candidate);
+    }
+  }
+
   socket.on("signal", async (data) => {
+    const link = isReceiver ? latest : findLink(data.from);
+    // Nothing more to do for a connection that has closed itself
+    if (!link || link.pc.connectionState === "closed") return;
+    const { pc } = link;
+
     try {
       if (data.type === "offer") {
-        await pc.setRemoteDescription(data.offer);
+        link.peerId = data.from;
+        await setRemote(link, data.offer);
         const answer = await pc.createAnswer();
         await pc.setLocalDescription(answer);
-        socket.emit("signal", {
-          code,
-          data: { type: "answer", answer }
-        });
+        signal(link, { type: "answer", answer });
       }
 
       if (data.type === "answer") {
-        await pc.setRemoteDescription(data.answer);
+        await setRemote(link, data.answer);
       }
 
       if (data.type === "ice") {
-        await pc.addIceCandidate(data.candidate);
+        if (link.remoteReady) await pc.addIceCandidate(data.candidate);
+        else link.candidates.push(data.candidate);
+      }
+
+      if (data.type === "pake") {
+        await receivePakeShare(link, data.share);
       }
     } catch (err) {
       console.error("❌ Signaling error", err);
@@ -80,93 +515,895 @@ export function createWebRTCConnection(
   });
 
   // ---------- JOIN ROOM ----------
-  socket.emit("join-room", code);
+  // The sender already holds the room from "create-room"
+  if (isReceiver) {
+    joinRoom();
+  }
+
+  socket.on("room-joined", ({ token: issued, hasPassword } = {}) => {
+    if (issued) rejoinToken = issued;
+    if (hasPassword && !password) {
+      if (onError) onError(new PairingError("This code needs the sender's password", "password-required"));
+      close();
+      return;
+    }
+    usePassword = Boolean(hasPassword);
+  });
+
+  // socket.io reconnects by itself, under a new socket id
+  socket.io.on("reconnect", () => {
+    if (closed) return;
+    console.log("🔁 Signaling reconnected, rejoining the room");
+    joinRoom();
+  });
 
   // ---------- OFFER CREATION ----------
-  socket.on("peer-joined", async () => {
+  // Every join, including a receiver coming back after a drop or reload,
+  // gets a fresh connection. A receiver whose socket reconnected
+  // (previousId) keeps its connection if that is still up.
+  socket.on("peer-joined", async ({ peerId, previousId } = {}) => {
+    if (isReceiver || closed) return;
+
+    const previous = findLink(previousId || peerId);
+    if (previous) {
+      clearTimeout(previous.leftTimer);
+      previous.leftTimer = null;
+      if (previousId && previous.state === "connected") {
+        console.log("🔁 Receiver back on a new socket:", peerId);
+        previous.socketId = peerId;
+        return;
+      }
+    }
+
+    const link = setupLink(previous ? previous.peerId : peerId, peerId);
+    sendPakeShare(link);
+    const offer = await link.pc.createOffer();
+    await link.pc.setLocalDescription(offer);
+    signal(link, { type: "offer", offer });
+  });
+
+  // A peer whose connection is still up may only have lost its signaling
+  // socket; it gets a while to rejoin before it counts as gone
+  socket.on("peer-left", ({ peerId } = {}) => {
+    if (closed) return;
+
+    const link = isReceiver
+      ? (latest && latest.peerId === peerId ? latest : null)
+      : findLink(peerId);
+    if (!link) return;
+
+    if (link.state === "connected") {
+      link.leftTimer = setTimeout(() => peerGone(link), PEER_LEFT_GRACE_MS);
+      return;
+    }
+    peerGone(link);
+  });
+
+  // The sender came back on a new socket
+  socket.on("peer-rejoined", ({ previousId, peerId } = {}) => {
+    if (!isReceiver || !latest || latest.peerId !== previousId) return;
+    console.log("🔁 Sender back on a new socket:", peerId);
+    clearTimeout(latest.leftTimer);
+    latest.leftTimer = null;
+    latest.peerId = peerId;
+  });
+
+  // A sender that leaves cannot come back to this room
+  function peerGone(link) {
+    clearTimeout(link.leftTimer);
+    link.leftTimer = null;
+    if (!isCurrent(link)) return;
+
     if (!isReceiver) {
-      const offer = await pc.createOffer();
-      await pc.setLocalDescription(offer);
-      socket.emit("signal", {
-        code,
-        data: { type: "offer", offer }
+      console.log("👋 Receiver left:", link.peerId);
+      dropLink(link);
+    }
+    if (onPeerLeft) onPeerLeft(link.peerId);
+  }
+
+  // ---------- TRANSFER CONTROL ----------
+  function onControlMessage(link, event) {
+    const msg = decodeMessage(event.data);
+    if (msg && msg.kind === "control") applyControl(link, msg.action, "peer");
+  }
+
+  function applyControl(link, action, by) {
+    if (closed) return;
+    console.log(`⏯️ Transfer ${action} (${by})`);
+
+    if (action === "pause") link.control.setPaused(true);
+    if (action === "resume") link.control.setPaused(false);
+    if (action === "cancel") {
+      if (broadcast) dropLink(link);
+      else {
+        link.control.cancel();
+        close();
+      }
+    }
+    if (action === "end") close();
+
+    if (onControl) onControl(action, by, link.peerId);
+  }
+
+  async function sendControl(link, action) {
+    const dc = link.dataChannel;
+    if (!dc || dc.readyState !== "open") return;
+
+    // The peer may have hung up since the check above
+    try {
+      dc.send(encodeMessage("control", { action }));
+    } catch (err) {
+      return;
+    }
+    // Let a cancel or end reach the peer before the channel is torn down
+    if (action === "cancel" || action === "end") await waitForDrain(dc);
+  }
+
+  // Tear everything down: unfinished sinks are discarded and no reconnect
+  // is attempted afterwards.
+  function close() {
+    closed = true;
+    for (const entry of transfers.values()) {
+      if (!entry.done && !entry.failed) entry.sink.abort();
+    }
+    transfers.clear();
+    for (const link of targetLinks()) retireLink(link);
+    socket.disconnect();
+  }
+
+  // pause, resume and cancel act on every receiver unless given a peerId
+  return {
+    getPeerConnection: (peerId) => getLink(peerId)?.pc ?? null,
+    getDataChannel: (peerId) => getLink(peerId)?.dataChannel ?? null,
+    getSessionKey: (peerId) => getLink(peerId)?.session.key ?? null,
+    getControl: (peerId) => getLink(peerId)?.control ?? null,
+    // Everything sendFilesOverRTC needs to send over this connection
+    getSendOptions: (peerId) => {
+      const link = getLink(peerId);
+      if (!link) return {};
+      const lanes = link.protocol?.capabilities.includes("lanes") ? link.lanes : [];
+      return {
+        key: link.session.key,
+        control: link.control,
+        lanes: [link.dataChannel, ...lanes],
+        chunkSize: getChunkSize(link.pc),
+        maxMessageSize: getMaxMessageSize(link.pc),
+        manifestParts: Boolean(link.protocol?.capabilities.includes("parts"))
+      };
+    },
+    // { version, capabilities } agreed with the peer, once it said hello
+    getProtocol: (peerId) => getLink(peerId)?.protocol ?? null,
+    getPeers: () => [...links.keys()],
+    getState: (peerId) => getLink(peerId)?.state ?? null,
+    isClosed: () => closed,
+    pause: (peerId) => {
+      for (const link of targetLinks(peerId)) {
+        sendControl(link, "pause");
+        applyControl(link, "pause", "self");
+      }
+    },
+    resume: (peerId) => {
+      for (const link of targetLinks(peerId)) {
+        sendControl(link, "resume");
+        applyControl(link, "resume", "self");
+      }
+    },
+    cancel: async (peerId) => {
+      const targets = targetLinks(peerId);
+      await Promise.all(targets.map((link) => sendControl(link, "cancel")));
+      for (const link of targets) applyControl(link, "cancel", "self");
+      if (peerId === undefined && !closed) close();
+    },
+    // Hang up between transfers, so the other side does not reconnect
+    end: async () => {
+      const targets = targetLinks();
+      await Promise.all(targets.map((link) => sendControl(link, "end")));
+      if (targets.length > 0) applyControl(targets[0], "end", "self");
+      if (!closed) close();
+    },
+    close
+  };
+}
+
+// Pause state of one peer connection, mirrored on both ends. The send loop
+// calls checkpoint() before every chunk: it waits while paused and throws
+// once the transfer is cancelled.
+function createTransferControl() {
+  let paused = false;
+  let cancelled = false;
+  let wake = () => {};
+  let resumed = Promise.resolve();
+
+  return {
+    isPaused: () => paused,
+    setPaused(value) {
+      if (value === paused) return;
+      paused = value;
+      if (paused) {
+        resumed = new Promise((resolve) => { wake = resolve; });
+      } else {
+        wake();
+      }
+    },
+    cancel() {
+      cancelled = true;
+      wake();
+    },
+    async checkpoint() {
+      while (paused && !cancelled) await resumed;
+      if (cancelled) throw new TransferCancelledError();
+    }
+  };
+}
+
+export class TransferCancelledError extends Error {
+  constructor() {
+    super("Transfer cancelled");
+    this.name = "TransferCancelledError";
+  }
+}
+
+// ---------- CHUNKING ----------
+
+// What one DataChannel message may hold: 64 KB when the browser won't say,
+// and no more than the largest chunk when it promises more
+function getMaxMessageSize(pc) {
+  return Math.min(pc?.sctp?.maxMessageSize || DEFAULT_CHUNK_SIZE, MAX_CHUNK_SIZE);
+}
+
+// The largest payload that still fits the peer's maximum message size once
+// framed, encrypted and given a header, in 16 KB steps
+function getChunkSize(pc) {
+  const maxMessageSize = Math.min(pc?.sctp?.maxMessageSize || DEFAULT_CHUNK_SIZE, MAX_CHUNK_SIZE * 2);
+  const room = maxMessageSize - CHUNK_HEADER_SIZE - ENVELOPE_OVERHEAD - DIGEST_SIZE;
+  const size = Math.floor(room / MIN_CHUNK_SIZE) * MIN_CHUNK_SIZE;
+  return Math.max(MIN_CHUNK_SIZE, Math.min(size, MAX_CHUNK_SIZE));
+}
+
+// Hands out the open lane with the least queued, waiting on
+// `bufferedamountlow` while all of them are full. The high-water mark
+// follows how fast the lanes drain, so a fast link keeps about a quarter
+// second of data in flight and a slow one doesn't hoard memory.
+function createPacer(lanes) {
+  let highWater = MIN_BUFFER;
+  let lastCheck = performance.now();
+  let lastQueued = 0;
+  let sentSince = 0;
+
+  const queued = () => lanes.reduce((sum, lane) => sum + lane.bufferedAmount, 0);
+
+  function measure() {
+    const now = performance.now();
+    const elapsed = (now - lastCheck) / 1000;
+    if (elapsed < 0.25) return;
+
+    const drained = lastQueued + sentSince - queued();
+    const rate = drained / elapsed;
+    highWater = Math.max(MIN_BUFFER, Math.min(rate * 0.25, MAX_BUFFER));
+    lastCheck = now;
+    lastQueued = queued();
+    sentSince = 0;
+  }
+
+  // Also wakes up every second: a connection closed from this side (see
+  // giveUp) doesn't fire "close" on its channels
+  function waitForLow(open) {
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => done(), 1000);
+      const done = () => {
+        clearTimeout(timer);
+        open.forEach((lane) => {
+          lane.removeEventListener("bufferedamountlow", done);
+          lane.removeEventListener("close", done);
+        });
+        resolve();
+      };
+      open.forEach((lane) => {
+        lane.bufferedAmountLowThreshold = highWater / 2;
+        lane.addEventListener("bufferedamountlow", done);
+        lane.addEventListener("close", done);
       });
+    });
+  }
+
+  return {
+    async nextLane() {
+      for (;;) {
+        measure();
+        const open = lanes.filter((lane) => lane.readyState === "open");
+        if (open.length === 0) throw new Error("DataChannel closed");
+
+        const lane = open.reduce((a, b) => (b.bufferedAmount < a.bufferedAmount ? b : a));
+        if (lane.bufferedAmount < highWater) return lane;
+        await waitForLow(open);
+      }
+    },
+    sent(bytes) {
+      sentSince += bytes;
     }
+  };
+}
+
+function waitForDrain(dc, timeoutMs = 1000) {
+  const deadline = Date.now() + timeoutMs;
+  return new Promise((resolve) => {
+    const check = () => {
+      if (dc.bufferedAmount === 0 || Date.now() > deadline) resolve();
+      else setTimeout(check, 20);
+    };
+    check();
   });
+}
+
+// Whether the selected ICE candidate pair goes through a TURN relay
+async function getRoute(pc) {
+  const stats = await pc.getStats();
+  let pair = null;
 
-  return { pc, getDataChannel: () => dataChannel };
+  stats.forEach((report) => {
+    if (report.type === "transport" && report.selectedCandidatePairId) {
+      pair = stats.get(report.selectedCandidatePairId);
+    }
+  });
+
+  // Firefox has no transport stats; it flags the pair itself
+  if (!pair) {
+    stats.forEach((report) => {
+      if (report.type === "candidate-pair" && (report.selected || report.nominated) &&
+          report.state === "succeeded") {
+        pair = report;
+      }
+    });
+  }
+  if (!pair) return null;
+
+  const candidates = [stats.get(pair.localCandidateId), stats.get(pair.remoteCandidateId)];
+  return candidates.some((c) => c?.candidateType === "relay") ? "relayed" : "direct";
 }
 
 // =======================================================
 // ===================== RECEIVE FILE =====================
 // =======================================================
 
-function setupReceive(dc, onFileReceived, onProgress) {
-  let meta = null;
-  let receivedBytes = 0;
-  const chunks = [];
+// The path comes from the other device; never let it leave the target folder
+function withSafePath(meta) {
+  return { ...meta, path: safePath(meta.path, meta.filename) };
+}
+
+// A manifest entry, with anything but a real thumbnail dropped
+function fromManifest(meta) {
+  return { ...withSafePath(meta), thumbnail: isThumbnail(meta.thumbnail) ? meta.thumbnail : null };
+}
 
-  dc.onmessage = (event) => {
-    // Metadata
-    if (typeof event.data === "string") {
-      meta = JSON.parse(event.data);
-      console.log("📦 Receiving file:", meta.filename);
-      if (onProgress) {
-        onProgress(0, 0, meta.size);
-      }
+// Chunks are verified as they arrive and written to a sink (see sinks.js).
+// When the metadata for a transfer we already hold part of comes in, we
+// answer with the next chunk index we need. Once every chunk up to the
+// sender's eof is written, the whole file is checked against the sender's
+// SHA-256 before the sink commits and onFileReceived fires. Open sinks live
+// in `transfers`, which outlives any one channel, until their whole batch
+// is in; then the same files may be sent again.
+//
+// Chunks may arrive on any lane and out of order; each names its stream
+// (one per announced file) and index, and waits in `pending` until the
+// chunks before it have been written. addLane(dc) feeds another channel's
+// chunks in. Chunks are decrypted with the key of the link they came over.
+// A batch over MAX_MANIFEST_FILES or MAX_MANIFEST_PARTS is declined whole,
+// and a stream with too many chunks pending fails like a corrupted one.
+function setupReceive(dc, transfers, handlers, link) {
+  const { onManifest, onFileReceived, onProgress, onError, onMessage, onVerified, chooseSink } = handlers;
+  let accepted = null;
+  let announced = []; // manifest entries so far, or null once over the caps
+  let parts = 0;
+  const streams = new Map(); // stream -> transfer entry
+
+  // Only hello and confirm (see authenticate) count before the pairing is
+  // confirmed. Whatever the peer sends straight after its own confirmation
+  // waits for ours; if that fails, it is dropped.
+  async function paired() {
+    if (link.session.key) return true;
+    try {
+      await link.session.verified;
+      return true;
+    } catch (err) {
+      return false;
+    }
+  }
+
+  dc.onmessage = async (event) => {
+    if (!link.session.key && !(await paired())) return;
+
+    if (typeof event.data !== "string") {
+      receiveChunk(event.data);
       return;
     }
 
-    // Binary chunk
-    chunks.push(event.data);
-    receivedBytes += event.data.byteLength;
+    const msg = decodeMessage(event.data);
+    if (!msg) return;
 
-    if (meta && onProgress) {
-      onProgress((receivedBytes / meta.size) * 100, receivedBytes, meta.size);
+    if (msg.kind === "manifest") {
+      parts++;
+      if (announced) announced.push(...msg.files);
+      if (announced && (announced.length > MAX_MANIFEST_FILES || parts > MAX_MANIFEST_PARTS)) {
+        announced = null;
+      }
+      if (msg.more) return;
+
+      const entries = announced;
+      announced = [];
+      parts = 0;
+      if (!entries) {
+        declineBatch();
+        return;
+      }
+
+      const files = entries.map(fromManifest);
+      console.log("📋 Incoming batch:", files.length, "file(s)");
+      const decision = onManifest ? await onManifest(files) : null;
+      accepted = decision || files.map((f) => f.transferId);
+      dc.send(encodeMessage("decision", { accepted }));
+      return;
     }
 
-    // Done
-    if (meta && receivedBytes === meta.size) {
-      const blob = new Blob(chunks, { type: meta.type });
-      onFileReceived(meta, blob);
+    if (msg.kind === "file") startFile(withSafePath(msg));
+    if (msg.kind === "eof") endFile(msg);
+    if (msg.kind === "message") receiveMessage(msg);
+    if (msg.kind === "ack" && onVerified) onVerified(msg.transferId, link.peerId);
+    if (msg.kind === "error" && onError) {
+      onError(new ProtocolError(msg.code, msg.message, msg.transferId ?? null), link.peerId);
     }
   };
+
+  // The sender is told why, then gets an empty decision so it stops waiting
+  function declineBatch() {
+    const message = `Too many files in one batch; send at most ${MAX_MANIFEST_FILES} at a time`;
+    console.error("❌ Declined batch:", message);
+    accepted = [];
+    dc.send(encodeMessage("error", { code: "too-many-files", message }));
+    dc.send(encodeMessage("decision", { accepted }));
+    if (onError) onError(new ProtocolError("too-many-files", message), link.peerId);
+  }
+
+  function addLane(lane) {
+    lane.onmessage = async (event) => {
+      if (!link.session.key && !(await paired())) return;
+      if (typeof event.data !== "string") receiveChunk(event.data);
+    };
+  }
+
+  function receiveChunk(data) {
+    const chunk = decodeChunk(data);
+    const entry = chunk && streams.get(chunk.stream);
+    const { index } = chunk || {};
+    if (!entry || entry.failed || index < entry.expected || entry.pending.has(index)) return;
+
+    if (entry.pending.size >= MAX_PENDING_CHUNKS ||
+        entry.pendingBytes + chunk.body.byteLength > MAX_PENDING_BYTES) {
+      entry.pending.clear();
+      fail(entry, "too many chunks arrived out of order");
+      return;
+    }
+
+    entry.pending.set(index, { body: chunk.body, key: link.session.key });
+    entry.pendingBytes += chunk.body.byteLength;
+    entry.receivedBytes += chunk.body.byteLength - ENVELOPE_OVERHEAD - DIGEST_SIZE;
+
+    while (entry.pending.has(entry.expected)) {
+      const next = entry.expected++;
+      const pending = entry.pending.get(next);
+      entry.pending.delete(next);
+      entry.pendingBytes -= pending.body.byteLength;
+      entry.writes = entry.writes.then(() => writeChunk(entry, next, pending));
+    }
+
+    if (onProgress) {
+      onProgress(
+        (entry.receivedBytes / entry.meta.size) * 100,
+        entry.receivedBytes,
+        entry.meta.size,
+        entry.meta
+      );
+    }
+    checkComplete(entry);
+  }
+
+  async function writeChunk(entry, index, { body, key }) {
+    if (entry.failed) return;
+
+    let plaintext;
+    try {
+      plaintext = await decryptChunk(key, entry.meta.transferId, index, body);
+    } catch (err) {
+      await fail(entry, `chunk ${index} failed to decrypt`);
+      return;
+    }
+
+    const { digest, payload } = unframeChunk(plaintext);
+    if (!sameDigest(digest, await hashChunk(payload))) {
+      await fail(entry, `chunk ${index} does not match its checksum`);
+      return;
+    }
+    await entry.sink.write(index, payload);
+  }
+
+  async function receiveMessage({ id, data }) {
+    if (!onMessage) return;
+
+    try {
+      const plaintext = await decryptChunk(link.session.key, `message:${id}`, 0, base64ToBytes(data).buffer);
+      const message = sanitizeMessage(JSON.parse(new TextDecoder().decode(plaintext)));
+      if (message && message.id === id) onMessage(message);
+    } catch (err) {
+      console.error("❌ Could not read message", err);
+    }
+  }
+
+  async function startFile(meta) {
+    let entry = transfers.get(meta.transferId);
+
+    // Declined, or already delivered before a reconnect: tell the sender to skip it
+    if ((entry && entry.done) || !accepted || !accepted.includes(meta.transferId)) {
+      if (entry && entry.done) acknowledge(meta.transferId);
+      dc.send(encodeMessage("resume", {
+        transferId: meta.transferId,
+        chunkIndex: Math.ceil(meta.size / meta.chunkSize),
+        chunkSize: meta.chunkSize
+      }));
+      return;
+    }
+
+    if (!entry) {
+      const sink = await (chooseSink ? chooseSink(meta) : createSink(meta));
+      entry = { meta, sink, writes: Promise.resolve(), failed: false };
+      transfers.set(meta.transferId, entry);
+    }
+
+    await entry.writes;
+
+    // Resuming keeps the chunk size the transfer started with, whatever
+    // this connection would pick
+    const { chunkSize } = entry.meta;
+    entry.expected = await entry.sink.savedChunks();
+    entry.pending = new Map();
+    entry.pendingBytes = 0;
+    entry.chunks = null; // known once the sender's eof comes in
+    entry.receivedBytes = Math.min(entry.expected * chunkSize, meta.size);
+    entry.stream = meta.stream;
+    streams.set(meta.stream, entry);
+    console.log("📦 Receiving file:", meta.filename, "from chunk", entry.expected);
+
+    dc.send(encodeMessage("resume", {
+      transferId: meta.transferId,
+      chunkIndex: entry.expected,
+      chunkSize
+    }));
+
+    if (onProgress) {
+      const percent = meta.size ? (entry.receivedBytes / meta.size) * 100 : 100;
+      onProgress(percent, entry.receivedBytes, meta.size, meta);
+    }
+  }
+
+  // The eof can overtake chunks still in flight on other lanes
+  function endFile({ stream, chunks }) {
+    const entry = streams.get(stream);
+    if (!entry) return;
+    entry.chunks = chunks;
+    checkComplete(entry);
+  }
+
+  function checkComplete(entry) {
+    if (entry.finishing || entry.chunks === null || entry.expected < entry.chunks) return;
+    entry.finishing = true;
+    streams.delete(entry.stream);
+    finish(entry);
+  }
+
+  async function finish(entry) {
+    await entry.writes;
+    if (entry.failed) return;
+
+    if (await entry.sink.sha256() !== entry.meta.sha256) {
+      await fail(entry, "file does not match the sender's SHA-256");
+      return;
+    }
+
+    entry.done = true;
+    const blob = await entry.sink.close();
+    acknowledge(entry.meta.transferId);
+
+    const batch = accepted || [];
+    if (batch.every((id) => transfers.get(id)?.done)) {
+      batch.forEach((id) => transfers.delete(id));
+    }
+    onFileReceived(entry.meta, blob);
+  }
+
+  // Lets the sender record the file as verified; lost with the channel if
+  // it closed in the meantime
+  function acknowledge(transferId) {
+    if (dc.readyState !== "open" || !link.protocol?.capabilities.includes("ack")) return;
+    dc.send(encodeMessage("ack", { transferId }));
+  }
+
+  // A corrupted transfer is discarded entirely so a retry starts clean, and
+  // the sender is told so it doesn't wait for an ack
+  async function fail(entry, reason) {
+    entry.failed = true;
+    transfers.delete(entry.meta.transferId);
+    console.error("❌ Integrity check failed:", entry.meta.filename, reason);
+    await entry.sink.abort();
+
+    const message = `${entry.meta.filename}: ${reason}`;
+    if (dc.readyState === "open") {
+      dc.send(encodeMessage("error", { code: "integrity", message, transferId: entry.meta.transferId }));
+    }
+    if (onError) onError(new IntegrityError(message));
+  }
+
+  return { addLane };
 }
 
 // =======================================================
 // ====================== SEND FILE =======================
 // =======================================================
 
-export async function sendFileOverRTC(file, dc, setProgress) {
+// Stable for the same File object, so a reconnecting receiver is recognised
+export function getTransferId(file) {
+  return `${getRelativePath(file)}:${file.size}:${file.lastModified}`;
+}
+
+// Hashing a large file takes a full read, so do it once per File
+const fileHashes = new WeakMap();
+
+async function getFileHash(file) {
+  if (!fileHashes.has(file)) {
+    fileHashes.set(file, await hashFile(file));
+  }
+  return fileHashes.get(file);
+}
+
+// Wait for the first control message from the other side that matches.
+// The channel's state is polled too, since closing the peer connection
+// doesn't always fire "close".
+function waitForMessage(dc, matches) {
+  return new Promise((resolve, reject) => {
+    const onMessage = (event) => {
+      const msg = decodeMessage(event.data);
+      if (!msg || !matches(msg)) return;
+      cleanup();
+      resolve(msg);
+    };
+    const onClose = () => {
+      cleanup();
+      reject(new Error("DataChannel closed"));
+    };
+    const poll = setInterval(() => {
+      if (dc.readyState === "closed") onClose();
+    }, 1000);
+    const cleanup = () => {
+      clearInterval(poll);
+      dc.removeEventListener("message", onMessage);
+      dc.removeEventListener("close", onClose);
+    };
+
+    dc.addEventListener("message", onMessage);
+    dc.addEventListener("close", onClose);
+  });
+}
+
+// Each announced file gets its own stream id for its chunk headers
+let nextStream = 1;
+
+// options: { key, control, lanes, chunkSize } — from getSendOptions() on
+// the connection returned by createWebRTCConnection. Chunks are read and
+// encrypted a few ahead and spread over `lanes` (dc plus any extra
+// channels); control messages only ever go over dc.
+export async function sendFileOverRTC(
+  file,
+  dc,
+  setProgress,
+  { key, control, lanes = [dc], chunkSize = DEFAULT_CHUNK_SIZE } = {}
+) {
   if (!dc || dc.readyState !== "open") {
     throw new Error("DataChannel is not open");
   }
 
+  const transferId = getTransferId(file);
+  const stream = nextStream++;
+  const sha256 = await getFileHash(file);
+  const resume = waitForMessage(
+    dc,
+    (msg) => msg.kind === "resume" && msg.transferId === transferId
+  );
+
   // Send metadata
-  dc.send(JSON.stringify({
+  dc.send(encodeMessage("file", {
+    transferId,
+    stream,
     filename: file.name,
+    path: getRelativePath(file),
     size: file.size,
-    type: file.type
+    type: file.type,
+    chunkSize,
+    sha256
   }));
 
-  const CHUNK_SIZE = 64 * 1024;
-  let offset = 0;
+  // A resumed transfer keeps the chunk size it started with
+  const resumed = await resume;
+  const size = resumed.chunkSize || chunkSize;
+  const totalChunks = Math.ceil(file.size / size);
+  let index = Math.min(resumed.chunkIndex, totalChunks);
+  if (index > 0) {
+    console.log("⏩ Resuming from chunk", index);
+  }
+  let sent = Math.min(index * size, file.size);
+  if (setProgress) {
+    setProgress(file.size ? (sent / file.size) * 100 : 100, sent);
+  }
+
+  const prepare = async (i) => {
+    const buffer = await file.slice(i * size, (i + 1) * size).arrayBuffer();
+    const framed = frameChunk(await hashChunk(buffer), buffer);
+    const encrypted = await encryptChunk(key, transferId, i, framed);
+    return { chunk: encodeChunk(stream, i, encrypted), bytes: buffer.byteLength };
+  };
 
-  while (offset < file.size) {
-    // Backpressure control
-    while (dc.bufferedAmount > CHUNK_SIZE * 8) {
-      await new Promise((r) => setTimeout(r, 20));
+  // Read-ahead queue; a chunk that is never sent must not surface as an
+  // unhandled rejection
+  const ahead = [];
+  const fill = () => {
+    while (ahead.length < READ_AHEAD && index + ahead.length < totalChunks) {
+      const prepared = prepare(index + ahead.length);
+      prepared.catch(() => {});
+      ahead.push(prepared);
     }
+  };
+
+  const pacer = createPacer(lanes);
+  while (index < totalChunks) {
+    fill();
+    const { chunk, bytes } = await ahead.shift();
+    index++;
 
-    const slice = file.slice(offset, offset + CHUNK_SIZE);
-    const buffer = await slice.arrayBuffer();
-    dc.send(buffer);
+    if (control) await control.checkpoint();
+    const lane = await pacer.nextLane();
+    lane.send(chunk);
+    pacer.sent(chunk.byteLength);
 
-    offset += CHUNK_SIZE;
+    sent += bytes;
     if (setProgress) {
-      setProgress((offset / file.size) * 100, offset);
+      setProgress((sent / file.size) * 100, sent);
     }
   }
 
+  // Every chunk is out; the receiver finishes once it has them all
+  dc.send(encodeMessage("eof", { transferId, stream, chunks: totalChunks }));
   console.log("✅ File sent completely");
 }
+
+// Announce the whole batch, wait for the receiver to accept or decline each
+// file, then send the accepted ones one after another. Declined files are
+// never read past their thumbnail.
+// options: { key, control, lanes, chunkSize, maxMessageSize, manifestParts,
+//            onDecision(acceptedIndexes), onProgress(index, bytesSent) }
+export async function sendFilesOverRTC(
+  files,
+  dc,
+  {
+    key,
+    control,
+    lanes,
+    chunkSize,
+    maxMessageSize = DEFAULT_CHUNK_SIZE,
+    manifestParts = false,
+    onDecision,
+    onProgress
+  } = {}
+) {
+  if (!dc || dc.readyState !== "open") {
+    throw new Error("DataChannel is not open");
+  }
+
+  if (files.length > MAX_MANIFEST_FILES) {
+    throw new Error(`Send at most ${MAX_MANIFEST_FILES} files at a time.`);
+  }
+
+  const thumbnails = await createThumbnails(files);
+  const parts = splitManifest(files.map((file, i) => ({
+    transferId: getTransferId(file),
+    filename: file.name,
+    path: getRelativePath(file),
+    size: file.size,
+    type: file.type,
+    thumbnail: thumbnails[i]
+  })), maxMessageSize);
+  // A peer that predates "parts" reads each one as a batch of its own
+  if (parts.length > 1 && !manifestParts) {
+    throw new Error(
+      `The list of ${files.length} files is too long for the other device. ` +
+      "Update the app there, or send fewer files at a time."
+    );
+  }
+
+  const decision = waitForMessage(dc, (msg) => msg.kind === "decision");
+  for (const part of parts) dc.send(part);
+
+  const { accepted } = await decision;
+  const acceptedIndexes = files
+    .map((file, i) => (accepted.includes(getTransferId(file)) ? i : -1))
+    .filter((i) => i !== -1);
+
+  console.log("📋 Receiver accepted", acceptedIndexes.length, "of", files.length, "file(s)");
+  if (onDecision) onDecision(acceptedIndexes);
+
+  for (const i of acceptedIndexes) {
+    if (control) await control.checkpoint();
+    await sendFileOverRTC(files[i], dc, (percentComplete, bytesSent) => {
+      if (onProgress) onProgress(i, bytesSent);
+    }, { key, control, lanes, chunkSize });
+  }
+
+  return acceptedIndexes;
+}
+
+// The encoded manifest messages for `entries`, each within `maxBytes`.
+// An entry too big for a message of its own loses its thumbnail; one that
+// is still too big (a very long path) can't be sent at all.
+function splitManifest(entries, maxBytes) {
+  const encoder = new TextEncoder();
+  const size = (value) => encoder.encode(JSON.stringify(value)).byteLength;
+  const encode = (files, more) => encodeMessage("manifest", more ? { files, more } : { files });
+  // The message around the entries, plus a comma after each
+  const envelope = size({ kind: "manifest", files: [], more: true });
+  const parts = [];
+  let files = [];
+  let bytes = envelope;
+
+  for (let entry of entries) {
+    let entryBytes = size(entry) + 1;
+    if (envelope + entryBytes > maxBytes && entry.thumbnail) {
+      entry = { ...entry, thumbnail: null };
+      entryBytes = size(entry) + 1;
+    }
+    if (envelope + entryBytes > maxBytes) {
+      throw new Error(`The name of ${entry.filename} is too long to send.`);
+    }
+
+
+    if (files.length > 0 && bytes + entryBytes > maxBytes) {
+      parts.push(encode(files, true));
+      files = [];
+      bytes = envelope;
+    }
+    files.push(entry);
+    bytes += entryBytes;
+  }
+  parts.push(encode(files, false));
+  return parts;
+}
+
+// =======================================================
+// ===================== SEND MESSAGE =====================
+// =======================================================
+
+// One message from messages.js, encrypted like a chunk of its own. It can
+// go out while a file transfer is running on the same channel. Resolves
+// with false, sending nothing, if the encoded message would be larger than
+// `maxMessageSize` (from getSendOptions).
+export async function sendMessageOverRTC(message, dc, { key, maxMessageSize = DEFAULT_CHUNK_SIZE } = {}) {
+  if (!dc || dc.readyState !== "open") {
+    throw new Error("DataChannel is not open");
+  }
+
+  const encoder = new TextEncoder();
+  const plaintext = encoder.encode(JSON.stringify(message));
+  const data = await encryptChunk(key, `message:${message.id}`, 0, plaintext);
+  const encoded = encodeMessage("message", {
+    id: message.id,
+    data: bytesToBase64(new Uint8Array(data))
+  });
+  if (encoder.encode(encoded).byteLength > maxMessageSize) return false;
+
+  dc.send(encoded);
+  return true;
+}
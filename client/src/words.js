@@ -0,0 +1,39 @@
+// words.js
+// The word list for word codes (see generatePairingSecret in pake.js):
+// 256 short, distinct English words, so each one is a byte of the secret.
+
+export const WORDS = [
+  "acorn", "actor", "adobe", "agent", "alarm", "album", "alley", "amber",
+  "angel", "ankle", "apple", "apron", "arena", "armor", "arrow", "aspen",
+  "atlas", "attic", "award", "bacon", "badge", "bagel", "baker", "bamboo",
+  "banjo", "baron", "basin", "beach", "beard", "berry", "bison", "blade",
+  "blaze", "bloom", "board", "bonus", "boot", "brass", "bread", "brick",
+  "bridge", "brush", "bubble", "buddy", "bugle", "cabin", "cable", "cactus",
+  "camel", "canal", "candy", "canoe", "canvas", "cargo", "carpet", "castle",
+  "cedar", "chalk", "charm", "chess", "chief", "cider", "cliff", "clock",
+  "cloud", "clover", "coast", "cobra", "cocoa", "comet", "coral", "cotton",
+  "couch", "crane", "crater", "crown", "cube", "curve", "daisy", "dance",
+  "delta", "denim", "desert", "diary", "dock", "dolphin", "donut", "dragon",
+  "drum", "eagle", "earth", "easel", "echo", "elbow", "elder", "ember",
+  "engine", "fable", "falcon", "fern", "ferry", "fiber", "field", "finch",
+  "flame", "flute", "focus", "forest", "fossil", "fox", "frost", "fruit",
+  "galaxy", "garden", "garlic", "gecko", "ghost", "giant", "ginger",
+  "glacier", "globe", "goose", "grape", "gravel", "guitar", "hammer",
+  "harbor", "hawk", "hazel", "helmet", "hero", "honey", "hotel", "husky",
+  "igloo", "iris", "island", "ivory", "jacket", "jaguar", "jelly", "jewel",
+  "juice", "jungle", "kayak", "kettle", "kiwi", "koala", "ladder", "lagoon",
+  "lamp", "lantern", "laser", "lemon", "lens", "lily", "lime", "lizard",
+  "llama", "locket", "lotus", "lunar", "magnet", "mango", "maple", "marble",
+  "meadow", "melon", "meteor", "mint", "mirror", "moose", "mosaic", "mural",
+  "nectar", "needle", "nest", "noodle", "oasis", "ocean", "olive", "onion",
+  "opal", "orbit", "orchid", "otter", "paddle", "palace", "panda", "panther",
+  "paper", "parrot", "peach", "pearl", "pebble", "pepper", "piano", "pilot",
+  "pixel", "planet", "plaza", "plum", "polar", "pony", "poppy", "prism",
+  "puzzle", "quartz", "quill", "rabbit", "radar", "radio", "raven", "reef",
+  "rhino", "ribbon", "river", "robin", "rocket", "rose", "ruby", "saddle",
+  "salmon", "scarf", "shell", "silver", "sketch", "sloth", "solar", "spice",
+  "spider", "sponge", "squid", "stamp", "storm", "sugar", "summit", "swan",
+  "tango", "tiger", "timber", "toast", "tomato", "topaz", "torch", "tulip",
+  "tunnel", "turtle", "valley", "velvet", "violin", "walnut", "willow",
+  "wizard", "yacht", "zebra"
+];
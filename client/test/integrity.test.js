@@ -0,0 +1,14 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createHasher, hashFile } from "../src/integrity.js";
+
+test("a hasher carries on from a stored state", async () => {
+  const data = new Uint8Array(1000).map((_, i) => i % 251);
+  const first = createHasher();
+  first.update(data.slice(0, 301).buffer);
+
+  const second = createHasher(structuredClone(first.state()));
+  second.update(data.slice(301).buffer);
+
+  assert.equal(second.hex(), await hashFile(new Blob([data])));
+});
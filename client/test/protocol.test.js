@@ -0,0 +1,138 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  PROTOCOL_VERSION,
+  MIN_PROTOCOL_VERSION,
+  CAPABILITIES,
+  CHUNK_HEADER_SIZE,
+  ProtocolError,
+  encodeMessage,
+  decodeMessage,
+  createHello,
+  negotiate,
+  encodeChunk,
+  decodeChunk
+} from "../src/protocol.js";
+
+// One well-formed message of every kind
+const SAMPLES = {
+  hello: { version: 1, minVersion: 1, capabilities: ["ack"] },
+  confirm: { tag: "a1b2" },
+  control: { action: "pause" },
+  manifest: { files: [{ transferId: "t1", filename: "a.txt", path: "a.txt", size: 3, type: "text/plain" }] },
+  decision: { accepted: ["t1"] },
+  file: {
+    transferId: "t1",
+    stream: 0,
+    filename: "a.txt",
+    path: "dir/a.txt",
+    size: 3,
+    type: "text/plain",
+    chunkSize: 65536,
+    sha256: "ff"
+  },
+  resume: { transferId: "t1", chunkIndex: 4, chunkSize: 65536 },
+  eof: { transferId: "t1", stream: 0, chunks: 5 },
+  ack: { transferId: "t1" },
+  error: { code: "disk-full", message: "No space left", transferId: "t1" },
+  message: { id: "m1", data: "c2VjcmV0" }
+};
+
+// ---------- MESSAGES ----------
+
+for (const [kind, fields] of Object.entries(SAMPLES)) {
+  test(`${kind} messages survive encoding`, () => {
+    assert.deepEqual(decodeMessage(encodeMessage(kind, fields)), { kind, ...fields });
+  });
+
+  test(`${kind} messages missing a field are refused`, () => {
+    const [first] = Object.keys(fields);
+    const { [first]: dropped, ...rest } = fields;
+    assert.throws(() => encodeMessage(kind, rest), /Malformed/);
+    assert.equal(decodeMessage(JSON.stringify({ kind, ...rest })), null);
+  });
+}
+
+test("fields of the wrong type are refused", () => {
+  assert.throws(() => encodeMessage("eof", { transferId: "t1", stream: "0", chunks: 5 }));
+  assert.equal(decodeMessage(JSON.stringify({ kind: "decision", accepted: "t1" })), null);
+});
+
+test("unknown kinds, bad JSON and binary data decode to null", () => {
+  assert.equal(decodeMessage(JSON.stringify({ kind: "teleport", to: "mars" })), null);
+  assert.equal(decodeMessage("{not json"), null);
+  assert.equal(decodeMessage("null"), null);
+  assert.equal(decodeMessage(new ArrayBuffer(16)), null);
+});
+
+// ---------- NEGOTIATION ----------
+
+test("createHello announces this version and every capability", () => {
+  assert.deepEqual(decodeMessage(createHello()), {
+    kind: "hello",
+    version: PROTOCOL_VERSION,
+    minVersion: MIN_PROTOCOL_VERSION,
+    capabilities: CAPABILITIES
+  });
+});
+
+test("two current peers share everything", () => {
+  assert.deepEqual(negotiate(decodeMessage(createHello())), {
+    version: PROTOCOL_VERSION,
+    capabilities: CAPABILITIES
+  });
+});
+
+test("only capabilities both sides announced are used", () => {
+  const hello = { kind: "hello", version: PROTOCOL_VERSION, minVersion: 1, capabilities: ["ack", "teleport"] };
+  assert.deepEqual(negotiate(hello).capabilities, ["ack"]);
+});
+
+test("a newer peer that still accepts us talks our version", () => {
+  const hello = { kind: "hello", version: PROTOCOL_VERSION + 3, minVersion: 1, capabilities: [] };
+  assert.equal(negotiate(hello).version, PROTOCOL_VERSION);
+});
+
+test("a peer without hello is outdated", () => {
+  for (const first of [null, decodeMessage(encodeMessage("manifest", SAMPLES.manifest))]) {
+    assert.throws(
+      () => negotiate(first),
+      (err) => err instanceof ProtocolError && err.code === "outdated-peer"
+    );
+  }
+});
+
+test("a peer older than our minimum is outdated", () => {
+  const hello = { kind: "hello", version: MIN_PROTOCOL_VERSION - 1, minVersion: 0, capabilities: [] };
+  assert.throws(() => negotiate(hello), { code: "outdated-peer" });
+});
+
+test("a peer that needs a newer version says we are outdated", () => {
+  const hello = { kind: "hello", version: PROTOCOL_VERSION + 2, minVersion: PROTOCOL_VERSION + 1, capabilities: [] };
+  assert.throws(() => negotiate(hello), { code: "outdated-self" });
+});
+
+// ---------- CHUNKS ----------
+
+test("a chunk is [u32 stream][u32 index] big-endian, then the body", () => {
+  const chunk = encodeChunk(0x01020304, 0x0a0b0c0d, new Uint8Array([0xaa, 0xbb]).buffer);
+  assert.equal(CHUNK_HEADER_SIZE, 8);
+  assert.deepEqual(
+    [...new Uint8Array(chunk)],
+    [0x01, 0x02, 0x03, 0x04, 0x0a, 0x0b, 0x0c, 0x0d, 0xaa, 0xbb]
+  );
+});
+
+test("chunks survive encoding", () => {
+  const body = crypto.getRandomValues(new Uint8Array(1000));
+  const chunk = decodeChunk(encodeChunk(7, 4294967295, body));
+  assert.equal(chunk.stream, 7);
+  assert.equal(chunk.index, 4294967295);
+  assert.deepEqual(new Uint8Array(chunk.body), body);
+});
+
+test("anything shorter than a header, or not binary, is not a chunk", () => {
+  assert.equal(decodeChunk(new ArrayBuffer(CHUNK_HEADER_SIZE - 1)), null);
+  assert.equal(decodeChunk("chunk"), null);
+  assert.equal(decodeChunk(new ArrayBuffer(CHUNK_HEADER_SIZE)).body.byteLength, 0);
+});
@@ -0,0 +1,24 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { isThumbnail } from "../src/thumbnails.js";
+
+test("an inline JPEG is a thumbnail", () => {
+  assert.equal(isThumbnail("data:image/jpeg;base64,/9j/4AAQSkZJRg=="), true);
+});
+
+test("links, scripts and other images are not", () => {
+  for (const value of [
+    "https://tracker.example/pixel.jpg",
+    "javascript:alert(1)",
+    "data:image/svg+xml;base64,PHN2Zz48L3N2Zz4=",
+    "data:image/jpeg;base64,/9j/\"onerror=\"alert(1)",
+    null,
+    42
+  ]) {
+    assert.equal(isThumbnail(value), false, String(value));
+  }
+});
+
+test("an oversized one is dropped", () => {
+  assert.equal(isThumbnail("data:image/jpeg;base64," + "A".repeat(128 * 1024)), false);
+});
@@ -1,6 +1,53 @@
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
+import { createHash } from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+// Fills the service worker's precache list with the build output (hashed
+// file names included) and a version derived from its contents, so every
+// deploy that changes anything installs a new worker and a fresh cache.
+// public/sw.js is copied as is in dev, where nothing is precached.
+function precacheManifest() {
+  let outDir;
+  let publicDir;
+
+  return {
+    name: 'precache-manifest',
+    apply: 'build',
+    configResolved(config) {
+      outDir = config.build.outDir;
+      publicDir = config.publicDir;
+    },
+    writeBundle(options, bundle) {
+      const hash = createHash('sha256');
+      const urls = [];
+
+      for (const file of Object.values(bundle).sort((a, b) => a.fileName.localeCompare(b.fileName))) {
+        if (file.fileName.endsWith('.map')) continue;
+        urls.push(`/${file.fileName}`);
+        hash.update(file.fileName);
+        hash.update(file.type === 'chunk' ? file.code : file.source);
+      }
+      for (const name of fs.readdirSync(publicDir).sort()) {
+        if (name === 'sw.js') continue;
+        urls.push(`/${name}`);
+        hash.update(name);
+        hash.update(fs.readFileSync(path.join(publicDir, name)));
+      }
+
+      const manifest = { version: hash.digest('hex').slice(0, 12), urls };
+      const sw = path.resolve(outDir, 'sw.js');
+      const source = fs.readFileSync(sw, 'utf8');
+      const placeholder = "const PRECACHE = { version: 'dev', urls: [] };";
+      if (!source.includes(placeholder)) {
+        throw new Error('sw.js has no precache placeholder');
+      }
+      fs.writeFileSync(sw, source.replace(placeholder, `const PRECACHE = ${JSON.stringify(manifest)};`));
+    }
+  };
+}
 
 export default defineConfig({
-  plugins: [react()]
+  plugins: [react(), precacheManifest()]
 });
@@ -0,0 +1,68 @@
+import crypto from 'crypto';
+import express from 'express';
+import { log, codeHash } from './logger.js';
+
+// ---------- ADMIN ----------
+// Live rooms, for operators. Disabled unless ADMIN_TOKEN is set; requests
+// must carry "Authorization: Bearer <ADMIN_TOKEN>".
+//   GET    /admin/rooms       every live room, identified by its code hash
+//   DELETE /admin/rooms/:id   close a room; its peers get "room-closed"
+// Codes themselves are never returned, so this can't be used to join rooms.
+
+const token = process.env.ADMIN_TOKEN;
+
+// Compare digests so the check takes the same time whatever was sent
+function isAdmin(req) {
+  const [scheme, value] = (req.get("authorization") || "").split(" ");
+  if (scheme !== "Bearer" || !value) return false;
+
+  const digest = (text) => crypto.createHash("sha256").update(text).digest();
+  return crypto.timingSafeEqual(digest(value), digest(token));
+}
+
+function describe(room) {
+  return {
+    id: codeHash(room.code),
+    broadcast: room.broadcast,
+    oneTime: Boolean(room.oneTime),
+    used: Boolean(room.used),
+    peers: room.peers.size,
+    paired: room.peers.size > 1,
+    expiresAt: room.expiresAt
+  };
+}
+
+// Express 4 leaves a rejected handler hanging; this hands the error on
+const route = (handler) => (req, res, next) => handler(req, res).catch(next);
+
+// closeRoom(code) disconnects the room's peers and forgets it
+export function createAdminRouter({ store, closeRoom }) {
+  const router = express.Router();
+
+  router.use((req, res, next) => {
+    if (!token) return res.status(404).end();
+    if (!isAdmin(req)) return res.status(401).json({ error: "unauthorized" });
+    next();
+  });
+
+  router.get("/rooms", route(async (req, res) => {
+    const rooms = await store.listRooms();
+    res.json({ rooms: rooms.map(describe) });
+  }));
+
+  router.delete("/rooms/:id", route(async (req, res) => {
+    const rooms = await store.listRooms();
+    const room = rooms.find((r) => codeHash(r.code) === req.params.id);
+    if (!room) return res.status(404).json({ error: "not-found" });
+
+    await closeRoom(room.code);
+    res.json({ closed: req.params.id });
+  }));
+
+  router.use((err, req, res, next) => {
+    log.error("admin-failed", { method: req.method, path: req.path, message: err.message });
+    res.status(500).json({ error: "server-error" });
+  });
+
+  return router;
+}
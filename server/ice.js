@@ -0,0 +1,52 @@
+import crypto from 'crypto';
+
+// ---------- ICE SERVERS ----------
+// STUN_URLS and TURN_URLS are comma-separated lists.
+// With TURN_SECRET, short-lived credentials are issued the coturn REST way
+// (use-auth-secret): username "<expiry>:<id>", password
+// base64(HMAC-SHA1(secret, username)). Without it, TURN_USERNAME and
+// TURN_CREDENTIAL are handed out as-is.
+// ICE_TRANSPORT_POLICY=relay forces every session through TURN.
+
+const list = (value) =>
+  (value || "").split(",").map((s) => s.trim()).filter(Boolean);
+
+const config = {
+  stunUrls: list(process.env.STUN_URLS ?? "stun:stun.l.google.com:19302"),
+  turnUrls: list(process.env.TURN_URLS),
+  turnSecret: process.env.TURN_SECRET,
+  turnUsername: process.env.TURN_USERNAME,
+  turnCredential: process.env.TURN_CREDENTIAL,
+  turnTtlSeconds: Number(process.env.TURN_TTL_SECONDS) || 3600,
+  transportPolicy: process.env.ICE_TRANSPORT_POLICY === "relay" ? "relay" : "all"
+};
+
+export function turnPassword(secret, username) {
+  return crypto.createHmac("sha1", secret).update(username).digest("base64");
+}
+
+function turnCredentials() {
+  if (config.turnSecret) {
+    const expiry = Math.floor(Date.now() / 1000) + config.turnTtlSeconds;
+    const username = `${expiry}:${crypto.randomBytes(6).toString("hex")}`;
+    return { username, credential: turnPassword(config.turnSecret, username) };
+  }
+  return { username: config.turnUsername, credential: config.turnCredential };
+}
+
+// RTCConfiguration for a browser about to open a peer connection
+export function getIceConfig() {
+  const iceServers = [];
+
+  if (config.stunUrls.length > 0) {
+    iceServers.push({ urls: config.stunUrls });
+  }
+  if (config.turnUrls.length > 0) {
+    iceServers.push({ urls: config.turnUrls, ...turnCredentials() });
+  }
+
+  return {
+    iceServers,
+    iceTransportPolicy: config.transportPolicy
+  };
+}
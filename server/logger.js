@@ -0,0 +1,31 @@
+import crypto from 'crypto';
+
+// ---------- LOGGING ----------
+// One JSON object per line: { time, level, event, ...fields }.
+// Room codes never appear in logs; codeHash() stands in for them. The hash
+// is keyed with LOG_SALT, so set the same value on every instance to follow
+// a room across them. Without it a random salt is used per process.
+// LOG_LEVEL is "debug", "info" (default), "warn" or "error".
+
+const LEVELS = ["debug", "info", "warn", "error"];
+const minLevel = Math.max(0, LEVELS.indexOf(process.env.LOG_LEVEL || "info"));
+const salt = process.env.LOG_SALT || crypto.randomBytes(16).toString("hex");
+
+export function codeHash(code) {
+  return crypto.createHmac("sha256", salt).update(String(code)).digest("hex").slice(0, 12);
+}
+
+function write(level, event, fields = {}) {
+  if (LEVELS.indexOf(level) < minLevel) return;
+
+  const line = JSON.stringify({ time: new Date().toISOString(), level, event, ...fields });
+  if (level === "error" || level === "warn") console.error(line);
+  else console.log(line);
+}
+
+export const log = {
+  debug: (event, fields) => write("debug", event, fields),
+  info: (event, fields) => write("info", event, fields),
+  warn: (event, fields) => write("warn", event, fields),
+  error: (event, fields) => write("error", event, fields)
+};
@@ -0,0 +1,45 @@
+// ---------- METRICS ----------
+// Counters and gauges for /metrics, in the Prometheus text format. Counters
+// are per instance; sum them across instances when scraping several.
+
+const counters = new Map(); // name -> { help, values: Map(labels -> n) }
+const gauges = new Map(); // name -> { help, read }
+
+function labelString(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return "";
+  return `{${entries.map(([key, value]) => `${key}="${String(value).replace(/["\\\n]/g, "_")}"`).join(",")}}`;
+}
+
+export function counter(name, help) {
+  const metric = { help, values: new Map() };
+  counters.set(name, metric);
+
+  return {
+    inc(labels = {}) {
+      const key = labelString(labels);
+      metric.values.set(key, (metric.values.get(key) || 0) + 1);
+    }
+  };
+}
+
+// read() is called on every scrape and may be async
+export function gauge(name, help, read) {
+  gauges.set(name, { help, read });
+}
+
+export async function renderMetrics() {
+  const lines = [];
+
+  for (const [name, { help, values }] of counters) {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} counter`);
+    if (values.size === 0) lines.push(`${name} 0`);
+    for (const [labels, value] of values) lines.push(`${name}${labels} ${value}`);
+  }
+
+  for (const [name, { help, read }] of gauges) {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} gauge`, `${name} ${await read()}`);
+  }
+
+  return lines.join("\n") + "\n";
+}
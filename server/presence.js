@@ -0,0 +1,103 @@
+import crypto from 'crypto';
+import { log } from './logger.js';
+
+// ---------- PRESENCE ----------
+// Nearby devices, for pairing without typing a code. A socket that sends
+// "presence-join" { name, team } is grouped with every other one behind the
+// same public address, or, with a team, with those that named the same
+// team room. Each member gets "presence" { devices: [{ peerId, name }] }
+// whenever the group changes; "presence-leave" takes a socket out.
+//
+// "presence-invite" { to, room } points a device in the same group at the
+// sender's room, which gets "presence-invited" { from, name, room } and may
+// answer "presence-decline" { to }, passed on as "presence-declined"
+// { from }. Only the room number passes through this server, as with a
+// typed code; the invited device still reads the secret off the sender.
+//
+// The address is clientAddress() from security.js, so behind a proxy it is
+// only as good as TRUST_PROXY: unset, everyone shares one group; too high,
+// a client can name its own address and join another network's group.
+//
+// Groups are Socket.IO rooms, so with the Redis adapter they span
+// instances. Their names are hashed, keeping addresses and team names out
+// of Redis.
+
+const MAX_NAME_LENGTH = 40;
+const MAX_TEAM_LENGTH = 64;
+
+const text = (value, max) =>
+  typeof value === "string" && value.trim() && value.length <= max ? value.trim() : null;
+
+function groupFor(address, team) {
+  const key = team ? `team:${team.toLowerCase()}` : `lan:${address}`;
+  return "presence:" + crypto.createHash("sha256").update(key).digest("hex").slice(0, 24);
+}
+
+export function createPresence(io) {
+  async function listDevices(group) {
+    const sockets = await io.in(group).fetchSockets();
+    return sockets
+      .filter((s) => s.data.presence?.group === group)
+      .map((s) => ({ peerId: s.id, name: s.data.presence.name }));
+  }
+
+  async function announce(group) {
+    io.to(group).emit("presence", { devices: await listDevices(group) });
+  }
+
+  // false for a missing name or an over-long team
+  async function join(socket, address, options) {
+    const name = text(options?.name, MAX_NAME_LENGTH);
+    const team = options?.team ? text(options.team, MAX_TEAM_LENGTH) : null;
+    if (!name || (options?.team && !team)) return false;
+
+    const previous = socket.data.presence?.group;
+    const group = groupFor(address, team);
+    if (previous && previous !== group) {
+      socket.leave(previous);
+      await announce(previous);
+    }
+
+    socket.data.presence = { group, name };
+    socket.join(group);
+    await announce(group);
+    log.debug("presence-joined", { socket: socket.id, team: Boolean(team) });
+    return true;
+  }
+
+  async function leave(socket) {
+    const group = socket.data.presence?.group;
+    if (!group) return;
+
+    socket.data.presence = null;
+    socket.leave(group);
+    await announce(group);
+  }
+
+  // Only within the group, so nobody can be invited from outside it
+  async function sameGroup(socket, to) {
+    const group = socket.data.presence?.group;
+    if (!group || to === socket.id) return false;
+    return (await listDevices(group)).some((device) => device.peerId === to);
+  }
+
+  // `room` is checked by the caller
+  async function invite(socket, to, room) {
+    if (!(await sameGroup(socket, to))) return false;
+
+    io.to(to).emit("presence-invited", {
+      from: socket.id,
+      name: socket.data.presence.name,
+      room
+    });
+    log.info("presence-invite", { socket: socket.id, to });
+    return true;
+  }
+
+  async function decline(socket, to) {
+    if (!(await sameGroup(socket, to))) return;
+    io.to(to).emit("presence-declined", { from: socket.id });
+  }
+
+  return { join, leave, invite, decline };
+}
@@ -0,0 +1,266 @@
+// Local Redis stand-in for development and tests, so several signaling
+// servers can share rooms without installing Redis. It speaks just enough
+// of the protocol (RESP2) for redis-store.js and the Socket.IO adapter:
+// strings, sets, key expiry and pub/sub. Data lives in memory only.
+//
+//   npm run redis
+//   REDIS_URL=redis://localhost:6379 PORT=5000 node server.js
+//   REDIS_URL=redis://localhost:6379 PORT=5001 node server.js
+
+import net from 'net';
+
+const PORT = Number(process.env.REDIS_PORT) || 6379;
+
+const keys = new Map(); // key -> { value: Buffer | Set<string>, expiresAt }
+const channels = new Map(); // channel -> Set<client>
+const patterns = new Map(); // pattern -> Set<client>
+
+// ---------- ENCODING ----------
+
+const simple = (text) => `+${text}\r\n`;
+const error = (text) => `-ERR ${text}\r\n`;
+const integer = (n) => `:${n}\r\n`;
+const NIL = "$-1\r\n";
+
+function bulk(value) {
+  const buffer = Buffer.isBuffer(value) ? value : Buffer.from(String(value));
+  return Buffer.concat([Buffer.from(`$${buffer.length}\r\n`), buffer, Buffer.from("\r\n")]);
+}
+
+function array(items) {
+  return Buffer.concat([
+    Buffer.from(`*${items.length}\r\n`),
+    ...items.map((item) => (typeof item === "number" ? Buffer.from(integer(item)) : bulk(item)))
+  ]);
+}
+
+// Commands arrive as arrays of bulk strings; returns the complete ones and
+// whatever is left over for the next read
+function parse(buffer) {
+  const commands = [];
+  let offset = 0;
+
+  for (;;) {
+    if (buffer[offset] !== 0x2a) break; // '*'
+    const lineEnd = buffer.indexOf("\r\n", offset);
+    if (lineEnd === -1) break;
+
+    const count = Number(buffer.toString("latin1", offset + 1, lineEnd));
+    let cursor = lineEnd + 2;
+    const args = [];
+
+    for (let i = 0; i < count; i++) {
+      const headerEnd = buffer.indexOf("\r\n", cursor);
+      if (headerEnd === -1) break;
+      const length = Number(buffer.toString("latin1", cursor + 1, headerEnd));
+      const start = headerEnd + 2;
+      if (buffer.length < start + length + 2) break;
+      args.push(buffer.subarray(start, start + length));
+      cursor = start + length + 2;
+    }
+    if (args.length < count) break;
+
+    commands.push(args);
+    offset = cursor;
+  }
+
+  return { commands, rest: buffer.subarray(offset) };
+}
+
+// ---------- KEYS ----------
+
+function lookup(key) {
+  const entry = keys.get(key);
+  if (entry && entry.expiresAt && entry.expiresAt <= Date.now()) {
+    keys.delete(key);
+    return null;
+  }
+  return entry || null;
+}
+
+function getSet(key, create) {
+  let entry = lookup(key);
+  if (!entry && create) {
+    entry = { value: new Set(), expiresAt: 0 };
+    keys.set(key, entry);
+  }
+  return entry ? entry.value : null;
+}
+
+// Redis glob patterns as used by the adapter: * and ?
+function matches(pattern, channel) {
+  const regex = pattern.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".");
+  return new RegExp(`^${regex}$`).test(channel);
+}
+
+// ---------- COMMANDS ----------
+
+const commands = {
+  PING: () => simple("PONG"),
+  CLIENT: () => simple("OK"),
+  SELECT: () => simple("OK"),
+
+  GET([key]) {
+    const entry = lookup(key);
+    return entry && Buffer.isBuffer(entry.value) ? bulk(entry.value) : NIL;
+  },
+
+  SET([key, value, ...options], raw) {
+    const flags = options.map((option) => option.toUpperCase());
+    if (flags.includes("NX") && lookup(key)) return NIL;
+
+    const px = flags.indexOf("PX");
+    const ex = flags.indexOf("EX");
+    const expiresAt = px !== -1 ? Date.now() + Number(options[px + 1])
+      : ex !== -1 ? Date.now() + Number(options[ex + 1]) * 1000
+      : 0;
+    keys.set(key, { value: Buffer.from(raw[2]), expiresAt });
+    return simple("OK");
+  },
+
+  DEL(names) {
+    let removed = 0;
+    for (const key of names) {
+      if (lookup(key)) {
+        keys.delete(key);
+        removed++;
+      }
+    }
+    return integer(removed);
+  },
+
+  EXISTS(names) {
+    return integer(names.filter((key) => lookup(key)).length);
+  },
+
+  PEXPIRE([key, ms]) {
+    const entry = lookup(key);
+    if (!entry) return integer(0);
+    entry.expiresAt = Date.now() + Number(ms);
+    return integer(1);
+  },
+
+  SADD([key, ...members]) {
+    const set = getSet(key, true);
+    const before = set.size;
+    members.forEach((member) => set.add(member));
+    return integer(set.size - before);
+  },
+
+  SREM([key, ...members]) {
+    const set = getSet(key, false);
+    if (!set) return integer(0);
+    const removed = members.filter((member) => set.delete(member)).length;
+    if (set.size === 0) keys.delete(key);
+    return integer(removed);
+  },
+
+  SCARD([key]) {
+    return integer(getSet(key, false)?.size || 0);
+  },
+
+  SISMEMBER([key, member]) {
+    return integer(getSet(key, false)?.has(member) ? 1 : 0);
+  },
+
+  SMEMBERS([key]) {
+    return array([...(getSet(key, false) || [])]);
+  },
+
+  PUBLISH([channel], raw) {
+    const message = raw[2];
+    let receivers = 0;
+
+    for (const client of channels.get(channel) || []) {
+      client.write(array(["message", channel, message]));
+      receivers++;
+    }
+    for (const [pattern, clients] of patterns) {
+      if (!matches(pattern, channel)) continue;
+      for (const client of clients) {
+        client.write(array(["pmessage", pattern, channel, message]));
+        receivers++;
+      }
+    }
+    return integer(receivers);
+  },
+
+  PUBSUB([subcommand, ...names]) {
+    if (subcommand.toUpperCase() === "NUMSUB") {
+      return array(names.flatMap((name) => [name, channels.get(name)?.size || 0]));
+    }
+    if (subcommand.toUpperCase() === "NUMPAT") return integer(patterns.size);
+    return error("unsupported PUBSUB subcommand");
+  }
+};
+
+// client.subscriptions holds "channel:<name>" and "pattern:<name>", for
+// the counts Redis reports back
+function subscribe(registry, type, reply, client, names) {
+  for (const name of names) {
+    if (!registry.has(name)) registry.set(name, new Set());
+    registry.get(name).add(client);
+    client.subscriptions.add(`${type}:${name}`);
+    client.write(array([reply, name, client.subscriptions.size]));
+  }
+}
+
+// With no names, drops every subscription of that type
+function unsubscribe(registry, type, reply, client, names) {
+  const prefix = `${type}:`;
+  const targets = names.length > 0
+    ? names
+    : [...client.subscriptions].filter((s) => s.startsWith(prefix)).map((s) => s.slice(prefix.length));
+
+  for (const name of targets) {
+    const clients = registry.get(name);
+    clients?.delete(client);
+    if (clients?.size === 0) registry.delete(name);
+    client.subscriptions.delete(prefix + name);
+    client.write(array([reply, name, client.subscriptions.size]));
+  }
+}
+
+function run(client, raw) {
+  const [name, ...args] = raw.map((arg) => arg.toString());
+  const command = name.toUpperCase();
+
+  switch (command) {
+    case "SUBSCRIBE": return subscribe(channels, "channel", "subscribe", client, args);
+    case "PSUBSCRIBE": return subscribe(patterns, "pattern", "psubscribe", client, args);
+    case "UNSUBSCRIBE": return unsubscribe(channels, "channel", "unsubscribe", client, args);
+    case "PUNSUBSCRIBE": return unsubscribe(patterns, "pattern", "punsubscribe", client, args);
+    case "QUIT":
+      client.end(simple("OK"));
+      return;
+  }
+
+  const handler = commands[command];
+  client.write(handler ? handler(args, raw) : error(`unknown command '${name}'`));
+}
+
+// ---------- SERVER ----------
+
+const server = net.createServer((client) => {
+  let pending = Buffer.alloc(0);
+  client.subscriptions = new Set();
+
+  client.on("data", (data) => {
+    const { commands: received, rest } = parse(Buffer.concat([pending, data]));
+    pending = rest;
+    received.forEach((raw) => run(client, raw));
+  });
+
+  client.on("close", () => {
+    for (const registry of [channels, patterns]) {
+      for (const [name, clients] of registry) {
+        clients.delete(client);
+        if (clients.size === 0) registry.delete(name);
+      }
+    }
+  });
+
+  client.on("error", () => {});
+});
+
+server.listen(PORT, "127.0.0.1", () => console.log("Redis stand-in running on port", PORT));
@@ -0,0 +1,166 @@
+// Room store on Redis (see store.js for the interface), for running several
+// signaling servers against one Redis. Each room is two keys:
+//   room:<code>        JSON { code, senderId, broadcast, oneTime, hasPassword, expiresAt }
+//   room:<code>:peers  set of socket ids
+// plus room:<code>:token:<token> naming the peer each rejoin token belongs
+// to (all listed in room:<code>:tokens, so they go with the room), and its
+// code is in the `rooms` set, for listing. Codes whose keys have
+// expired are dropped from it when it is next listed.
+// Only single commands are used, no scripts or transactions, so any
+// Redis-compatible server works, including redis-standin.js.
+
+// Paired rooms are removed by their last peer leaving; the expiry only
+// cleans up after servers that went away without doing so
+const PAIRED_ROOM_TTL_MS = 24 * 60 * 60 * 1000;
+
+// An unpaired room's keys outlast its code by this much, so the server's
+// own timer expires it (telling the sender and counting it) before Redis
+// drops it
+const EXPIRY_GRACE_MS = 60 * 1000;
+
+const roomKey = (code) => `room:${code}`;
+const peersKey = (code) => `room:${code}:peers`;
+const tokenKey = (code, token) => `room:${code}:token:${token}`;
+const tokensKey = (code) => `room:${code}:tokens`;
+const usedKey = (code) => `room:${code}:used`; // set once a one-time room has paired
+const pairedKey = (code) => `room:${code}:paired`; // set once someone has joined
+const INDEX_KEY = "rooms";
+
+const describe = ({ code, senderId, broadcast, oneTime, hasPassword, expiresAt }) =>
+  JSON.stringify({ code, senderId, broadcast, oneTime, hasPassword, expiresAt });
+
+export function createRedisStore(client, { onClose } = {}) {
+  // Tokens outlive a room whose keys simply expired, and must not carry
+  // over to the next room given the same code
+  async function clearTokens(code) {
+    const tokens = await client.sMembers(tokensKey(code));
+    await client.del([tokensKey(code), ...tokens.map((token) => tokenKey(code, token))]);
+  }
+
+  return {
+    async createRoom(room, ttlMs) {
+      const { code } = room;
+      const created = await client.set(
+        roomKey(code),
+        describe(room),
+        { condition: "NX", expiration: { type: "PX", value: ttlMs + EXPIRY_GRACE_MS } }
+      );
+      if (created !== "OK") return false;
+
+      await clearTokens(code);
+      await client.del([usedKey(code), pairedKey(code)]);
+      await client.sAdd(peersKey(code), [...room.peers]);
+      await client.pExpire(peersKey(code), ttlMs + EXPIRY_GRACE_MS);
+      await client.sAdd(INDEX_KEY, code);
+      return true;
+    },
+
+    async getRoom(code) {
+      const [value, peers, paired, used] = await Promise.all([
+        client.get(roomKey(code)),
+        client.sMembers(peersKey(code)),
+        client.exists(pairedKey(code)),
+        client.exists(usedKey(code))
+      ]);
+      if (!value) return null;
+      return {
+        ...JSON.parse(value),
+        peers: new Set(peers),
+        paired: Boolean(paired),
+        used: Boolean(used)
+      };
+    },
+
+    // Add first and check after, so two servers admitting receivers at
+    // once can never overfill a room
+    async addPeer(code, peerId, maxPeers) {
+      if (!(await client.exists(roomKey(code)))) return "not-found";
+      if (await client.sIsMember(peersKey(code), peerId)) return "present";
+
+      await client.sAdd(peersKey(code), peerId);
+      if (await client.sCard(peersKey(code)) > maxPeers) {
+        await client.sRem(peersKey(code), peerId);
+        return "full";
+      }
+
+      await Promise.all([
+        client.pExpire(roomKey(code), PAIRED_ROOM_TTL_MS),
+        client.pExpire(peersKey(code), PAIRED_ROOM_TTL_MS),
+        client.set(pairedKey(code), "1", {
+          expiration: { type: "PX", value: PAIRED_ROOM_TTL_MS }
+        })
+      ]);
+      return "added";
+    },
+
+    async removePeer(code, peerId) {
+      await client.sRem(peersKey(code), peerId);
+      return client.sCard(peersKey(code));
+    },
+
+    async replacePeer(code, oldId, newId) {
+      const room = await this.getRoom(code);
+      if (!room) return null;
+
+      await client.sRem(peersKey(code), oldId);
+      await client.sAdd(peersKey(code), newId);
+      room.peers.delete(oldId);
+      room.peers.add(newId);
+
+      // Keep an unpaired room's original expiry
+      const ttlMs = room.peers.size > 1
+        ? PAIRED_ROOM_TTL_MS
+        : Math.max(1000, room.expiresAt - Date.now()) + EXPIRY_GRACE_MS;
+      await client.pExpire(peersKey(code), ttlMs);
+
+      if (room.senderId === oldId) {
+        room.senderId = newId;
+        await client.set(
+          roomKey(code),
+          describe(room),
+          { expiration: { type: "PX", value: ttlMs } }
+        );
+      }
+      return room;
+    },
+
+    async setToken(code, token, peerId) {
+      await client.set(tokenKey(code, token), peerId, {
+        expiration: { type: "PX", value: PAIRED_ROOM_TTL_MS }
+      });
+      await client.sAdd(tokensKey(code), token);
+      await client.pExpire(tokensKey(code), PAIRED_ROOM_TTL_MS);
+    },
+
+    async getTokenPeer(code, token) {
+      if (!(await client.exists(roomKey(code)))) return null;
+      return client.get(tokenKey(code, token));
+    },
+
+    async markUsed(code) {
+      await client.set(usedKey(code), "1", {
+        expiration: { type: "PX", value: PAIRED_ROOM_TTL_MS }
+      });
+    },
+
+    async deleteRoom(code) {
+      await client.del([roomKey(code), peersKey(code), pairedKey(code), usedKey(code)]);
+      await clearTokens(code);
+      await client.sRem(INDEX_KEY, code);
+    },
+
+    async listRooms() {
+      const rooms = [];
+      for (const code of await client.sMembers(INDEX_KEY)) {
+        const room = await this.getRoom(code);
+        if (room) rooms.push(room);
+        else await client.sRem(INDEX_KEY, code);
+      }
+      return rooms;
+    },
+
+    async close() {
+      if (onClose) await onClose();
+    }
+  };
+}
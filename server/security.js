@@ -0,0 +1,214 @@
+// ---------- ABUSE PROTECTION ----------
+// Everything is in memory, so a single server needs nothing else running.
+//
+// ALLOWED_ORIGINS is a comma-separated list of web origins that may use the
+// server ("https://send.example.com,http://localhost:5173"). Unset or "*"
+// allows any. Requests without an Origin header (non-browser clients) are
+// always let through; origin checks only protect browsers.
+// TRUST_PROXY=<n> takes the client address from X-Forwarded-For, for
+// servers behind n reverse proxies (1 for Render). Each proxy appends the
+// address it saw, so the client's is n entries from the right; anything
+// further left was written by the client and can't be trusted. Unset,
+// every client behind a proxy shares its address: one rate limit, one
+// lockout and one nearby group for everybody.
+//
+// Rate limits are "<count>/<seconds>", per client address and per socket:
+//   JOIN_RATE_IP (default 20/60), JOIN_RATE_SOCKET (10/60)
+//   SIGNAL_RATE_IP (600/10), SIGNAL_RATE_SOCKET (300/10)
+//   CREATE_RATE_IP (30/60)
+//   ICE_RATE_IP (30/60): ICE configs fetched from /ice-servers
+//   PRESENCE_RATE_SOCKET (20/60): nearby-device joins, invites and declines
+// MAX_FAILED_JOINS (default 10) wrong codes within LOCKOUT_WINDOW_SECONDS
+// (600) lock the address out of joining for LOCKOUT_SECONDS (900).
+// MAX_SDP_BYTES (default 32768) and MAX_CANDIDATE_BYTES (2048) cap the size
+// of relayed signals.
+
+const list = (value) =>
+  (value || "").split(",").map((s) => s.trim()).filter(Boolean);
+
+function rate(value, fallback) {
+  const [count, seconds] = String(value || fallback).split("/").map(Number);
+  if (!count || !seconds) return rate(fallback, fallback);
+  return { limit: count, windowMs: seconds * 1000 };
+}
+
+const allowedOrigins = list(process.env.ALLOWED_ORIGINS);
+
+export const config = {
+  allowAnyOrigin: allowedOrigins.length === 0 || allowedOrigins.includes("*"),
+  allowedOrigins,
+  trustProxy: Math.max(0, Math.floor(Number(process.env.TRUST_PROXY)) || 0),
+  joinRateIp: rate(process.env.JOIN_RATE_IP, "20/60"),
+  joinRateSocket: rate(process.env.JOIN_RATE_SOCKET, "10/60"),
+  signalRateIp: rate(process.env.SIGNAL_RATE_IP, "600/10"),
+  signalRateSocket: rate(process.env.SIGNAL_RATE_SOCKET, "300/10"),
+  createRateIp: rate(process.env.CREATE_RATE_IP, "30/60"),
+  iceRateIp: rate(process.env.ICE_RATE_IP, "30/60"),
+  presenceRateSocket: rate(process.env.PRESENCE_RATE_SOCKET, "20/60"),
+  maxFailedJoins: Number(process.env.MAX_FAILED_JOINS) || 10,
+  lockoutWindowMs: (Number(process.env.LOCKOUT_WINDOW_SECONDS) || 600) * 1000,
+  lockoutMs: (Number(process.env.LOCKOUT_SECONDS) || 900) * 1000,
+  maxSdpBytes: Number(process.env.MAX_SDP_BYTES) || 32 * 1024,
+  maxCandidateBytes: Number(process.env.MAX_CANDIDATE_BYTES) || 2048
+};
+
+// The largest signal a well-behaved client sends, with room for the
+// envelope; socket.io drops anything bigger before it reaches a handler
+export const MAX_MESSAGE_BYTES = config.maxSdpBytes + 4096;
+
+// ---------- ORIGINS ----------
+
+export function isAllowedOrigin(origin) {
+  if (!origin || config.allowAnyOrigin) return true;
+  return config.allowedOrigins.includes(origin);
+}
+
+// For cors(): echo allowed origins back, refuse the rest
+export function corsOrigin(origin, callback) {
+  callback(null, isAllowedOrigin(origin));
+}
+
+// The address the nearest trusted proxy saw; a shorter chain than
+// expected gets its leftmost entry, as it can't have more proxies in front
+function trustedAddress(headers, address) {
+  const forwarded = list(headers["x-forwarded-for"]);
+  if (!config.trustProxy || forwarded.length === 0) return address;
+  return forwarded[Math.max(0, forwarded.length - config.trustProxy)];
+}
+
+export function clientAddress(socket) {
+  return trustedAddress(socket.handshake.headers, socket.handshake.address);
+}
+
+// The same for a plain HTTP request
+export function requestAddress(req) {
+  return trustedAddress(req.headers, req.socket.remoteAddress);
+}
+
+// ---------- RATE LIMITS ----------
+// Fixed windows per key; hit(key) is false once the key is over its limit
+// for the current window. Stale windows are swept out periodically.
+
+export function createRateLimiter({ limit, windowMs }) {
+  const windows = new Map(); // key -> { start, count }
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, window] of windows) {
+      if (now - window.start >= windowMs) windows.delete(key);
+    }
+  }, windowMs);
+  sweep.unref();
+
+  return {
+    hit(key) {
+      const now = Date.now();
+      let window = windows.get(key);
+      if (!window || now - window.start >= windowMs) {
+        window = { start: now, count: 0 };
+        windows.set(key, window);
+      }
+      window.count++;
+      return window.count <= limit;
+    },
+    forget(key) {
+      windows.delete(key);
+    }
+  };
+}
+
+// ---------- LOCKOUT ----------
+// Counts wrong codes per address; too many in a window and the address may
+// not join anything until the lockout ends, which makes guessing one of the
+// 900k codes before it expires impractical.
+
+export function createLockout({ maxFailures, windowMs, lockoutMs }) {
+  const failures = new Map(); // key -> { start, count, lockedUntil }
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of failures) {
+      if (entry.lockedUntil < now && now - entry.start >= windowMs) failures.delete(key);
+    }
+  }, windowMs);
+  sweep.unref();
+
+  return {
+    // Milliseconds until the key may try again, or 0
+    lockedFor(key) {
+      const entry = failures.get(key);
+      return entry ? Math.max(0, entry.lockedUntil - Date.now()) : 0;
+    },
+    fail(key) {
+      const now = Date.now();
+      let entry = failures.get(key);
+      if (!entry || now - entry.start >= windowMs) {
+        entry = { start: now, count: 0, lockedUntil: 0 };
+        failures.set(key, entry);
+      }
+      entry.count++;
+      if (entry.count >= maxFailures) {
+        entry.lockedUntil = now + lockoutMs;
+        entry.start = entry.lockedUntil;
+        entry.count = 0;
+      }
+    }
+  };
+}
+
+// ---------- SIGNAL VALIDATION ----------
+// Only the messages webrtc.js sends are relayed, rebuilt from the fields it
+// uses so nothing else rides along:
+//   { type: "offer" | "answer", offer | answer: { type, sdp } }
+//   { type: "ice", candidate: { candidate, sdpMid, sdpMLineIndex, usernameFragment } }
+//   { type: "pake", share }  (the key exchange, a hex-encoded point)
+// Returns null for anything else.
+
+const isString = (value, max) => typeof value === "string" && value.length <= max;
+
+function description(value, type) {
+  if (!value || value.type !== type || !isString(value.sdp, config.maxSdpBytes)) return null;
+  return { type, sdp: value.sdp };
+}
+
+function candidate(value) {
+  if (!value || !isString(value.candidate, config.maxCandidateBytes)) return null;
+
+  const { sdpMid = null, sdpMLineIndex = null, usernameFragment = null } = value;
+  if (sdpMid !== null && !isString(sdpMid, 64)) return null;
+  if (sdpMLineIndex !== null && !(Number.isInteger(sdpMLineIndex) && sdpMLineIndex >= 0 && sdpMLineIndex < 1024)) {
+    return null;
+  }
+  if (usernameFragment !== null && !isString(usernameFragment, 256)) return null;
+
+  return { candidate: value.candidate, sdpMid, sdpMLineIndex, usernameFragment };
+}
+
+export function validateSignal(data) {
+  if (!data || typeof data !== "object") return null;
+
+  switch (data.type) {
+    case "offer": {
+      const offer = description(data.offer, "offer");
+      return offer && { type: "offer", offer };
+    }
+    case "answer": {
+      const answer = description(data.answer, "answer");
+      return answer && { type: "answer", answer };
+    }
+    case "ice": {
+      const ice = candidate(data.candidate);
+      return ice && { type: "ice", candidate: ice };
+    }
+    case "pake":
+      return isString(data.share, 256) && /^[0-9a-f]+$/.test(data.share)
+        ? { type: "pake", share: data.share }
+        : null;
+    default:
+      return null;
+  }
+}
+
+// Codes are six digits; socket ids are short opaque strings
+export const isRoomCode = (value) => typeof value === "string" && /^[1-9]\d{5}$/.test(value);
+export const isSocketId = (value) => isString(value, 64);
@@ -1,39 +1,507 @@
 import express from 'express';
 import http from 'http';
 import cors from 'cors';
+import crypto from 'crypto';
 import { Server } from 'socket.io';
+import { getIceConfig } from './ice.js';
+import { createStore } from './store.js';
+import { log, codeHash } from './logger.js';
+import { counter, gauge, renderMetrics } from './metrics.js';
+import { createAdminRouter } from './admin.js';
+import { createPresence } from './presence.js';
+import {
+  config as security,
+  MAX_MESSAGE_BYTES,
+  isAllowedOrigin,
+  corsOrigin,
+  clientAddress,
+  requestAddress,
+  createRateLimiter,
+  createLockout,
+  validateSignal,
+  isRoomCode,
+  isSocketId
+} from './security.js';
 
 const app = express();
-app.use(cors());
+app.use(cors({ origin: corsOrigin }));
 
 app.get("/health", (req, res) => {
   res.status(200).send("OK");
 });
 
+app.get("/metrics", async (req, res) => {
+  try {
+    res.type("text/plain; version=0.0.4").send(await renderMetrics());
+  } catch (err) {
+    log.error("metrics-failed", { message: err.message });
+    res.status(500).end();
+  }
+});
+
+// Fresh on every request so TURN credentials are always short-lived
+app.get("/ice-servers", (req, res) => {
+  if (!limits.iceIp.hit(requestAddress(req))) {
+    metrics.rateLimited.inc({ action: "ice" });
+    res.status(429).json({ error: "rate-limited" });
+    return;
+  }
+  res.json(getIceConfig());
+});
+
 const server = http.createServer(app);
 
+// CORS only covers polling; WebSocket upgrades are checked in allowRequest
 const io = new Server(server, {
-  cors: { origin: "*" }
+  cors: { origin: corsOrigin },
+  maxHttpBufferSize: MAX_MESSAGE_BYTES,
+  allowRequest: (req, callback) => callback(null, isAllowedOrigin(req.headers.origin))
+});
+
+if (security.allowAnyOrigin) {
+  log.warn("origins", { message: "ALLOWED_ORIGINS is not set: accepting any origin" });
+}
+
+// ---------- LIMITS ----------
+// See security.js for the env vars behind each of these
+
+const limits = {
+  joinIp: createRateLimiter(security.joinRateIp),
+  joinSocket: createRateLimiter(security.joinRateSocket),
+  signalIp: createRateLimiter(security.signalRateIp),
+  signalSocket: createRateLimiter(security.signalRateSocket),
+  createIp: createRateLimiter(security.createRateIp),
+  iceIp: createRateLimiter(security.iceRateIp),
+  presenceSocket: createRateLimiter(security.presenceRateSocket)
+};
+
+const lockout = createLockout({
+  maxFailures: security.maxFailedJoins,
+  windowMs: security.lockoutWindowMs,
+  lockoutMs: security.lockoutMs
 });
 
+// ---------- METRICS ----------
+// Served at /metrics (see metrics.js)
+
+const metrics = {
+  roomsCreated: counter("signaling_rooms_created_total", "Pairing codes handed out"),
+  roomsExpired: counter("signaling_rooms_expired_total", "Codes that expired unpaired"),
+  roomsClosed: counter("signaling_rooms_closed_total", "Rooms closed through the admin endpoint"),
+  signalsRelayed: counter("signaling_signals_relayed_total", "Signals passed between peers"),
+  signalsDropped: counter("signaling_signals_dropped_total", "Signals dropped, by reason"),
+  joinFailures: counter("signaling_join_failures_total", "Rejected joins, by reason"),
+  rateLimited: counter("signaling_rate_limited_total", "Requests over a rate limit, by action")
+};
+
+gauge("signaling_active_sockets", "Sockets connected to this instance", () => io.engine.clientsCount);
+
+function rejectJoin(socket, code, reason, message) {
+  metrics.joinFailures.inc({ reason });
+  log.info("join-rejected", { socket: socket.id, reason, ...(code && { room: codeHash(code) }) });
+  roomError(socket, code, reason, message);
+}
+
+// ---------- ROOMS ----------
+// The server owns every pairing code: the sender reserves one with
+// "create-room", a single receiver may join it, and unpaired codes expire.
+// A broadcast room takes many receivers; each one only ever talks to the
+// sender, which addresses its signals to a receiver with `to`.
+// Room state is kept in `store` (see store.js), so it may be shared with
+// other instances; expiry timers belong to the instance that set them.
+//
+// Everyone in a room gets a rejoin token ("room-created" / "room-joined").
+// A socket that reconnects gets a new id; joining again with the token puts
+// it back in its old place, as sender or receiver. The others are told with
+// "peer-rejoined" { previousId, peerId } (the sender came back) or
+// "peer-joined" { peerId, previousId } (a receiver did), so a peer
+// connection that survived the blip can carry on.
+//
+// "create-room" takes { broadcast, oneTime, hasPassword, ttlSeconds }.
+// Every room is a random six-digit number, word codes included: a short
+// one would be easy to find and fill before the real receiver. A one-time
+// room is burned once its sender reports "room-paired": from then on only
+// rejoin tokens get in. hasPassword is just passed on to receivers in
+// "room-joined"; the password itself never reaches the server. ttlSeconds
+// (1 min to 24 h, default 5 min) is how long the code waits for a receiver;
+// "room-created" and "room-joined" carry both expiresAt and expiresIn, the
+// milliseconds left, so clients can count down without trusting their clock.
+// MIN_ROOM_TTL_SECONDS lowers the one-minute floor, for tests.
+
+const DEFAULT_ROOM_TTL_MS = 5 * 60 * 1000;
+const MIN_ROOM_TTL_MS = (Number(process.env.MIN_ROOM_TTL_SECONDS) || 60) * 1000;
+const MAX_ROOM_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_PEERS = 2;
+const MAX_BROADCAST_PEERS = 21; // the sender and 20 receivers
+
+const store = await createStore(io);
+const timers = new Map(); // code -> expiry timer this instance is watching
+
+gauge("signaling_active_rooms", "Live rooms in the store (shared when using Redis)", async () => (await store.listRooms()).length);
+
+function roomError(socket, code, reason, message) {
+  socket.emit("room-error", { code, reason, message });
+}
+
+// Only a room nobody ever joined expires; a receiver may have joined
+// through another instance since the timer was set. A paired room whose
+// sender left last is just cleared away.
+async function expireRoom(code) {
+  timers.delete(code);
+  const room = await store.getRoom(code);
+  if (!room) return;
+  if (room.paired) {
+    if (room.peers.size === 0) await store.deleteRoom(code);
+    return;
+  }
+
+  io.to(code).emit("room-expired", { code });
+  io.in(code).socketsLeave(code);
+  await store.deleteRoom(code);
+  metrics.roomsExpired.inc();
+  log.info("room-expired", { room: codeHash(code) });
+}
+
+// Closed by an operator: the peers are told and the code stops working
+async function closeRoom(code) {
+  clearExpiry(code);
+
+  io.to(code).emit("room-closed", { code });
+  io.in(code).socketsLeave(code);
+  await store.deleteRoom(code);
+  metrics.roomsClosed.inc();
+  log.info("room-closed", { room: codeHash(code) });
+}
+
+app.use("/admin", createAdminRouter({ store, closeRoom }));
+
+// Nearby devices (see presence.js)
+const presence = createPresence(io);
+
+function setExpiry(code, delayMs) {
+  clearTimeout(timers.get(code));
+  timers.set(code, setTimeout(() => {
+    expireRoom(code).catch((err) => {
+      log.error("expire-failed", { room: codeHash(code), message: err.message });
+    });
+  }, Math.max(0, delayMs)));
+}
+
+function clearExpiry(code) {
+  clearTimeout(timers.get(code));
+  timers.delete(code);
+}
+
+// A sender that drops out of a room nobody else is in keeps it until the
+// code would have expired, so it can come back with its token
+async function leaveRoom(socket, code) {
+  const room = await store.getRoom(code);
+  if (!room || !room.peers.has(socket.id)) return;
+
+  socket.leave(code);
+  socket.to(code).emit("peer-left", { code, peerId: socket.id });
+  log.info("peer-left", { room: codeHash(code), socket: socket.id });
+
+  if (await store.removePeer(code, socket.id) > 0) return;
+
+  const remainingMs = room.expiresAt - Date.now();
+  if (socket.id === room.senderId && remainingMs > 0) {
+    setExpiry(code, remainingMs);
+  } else {
+    clearExpiry(code);
+    await store.deleteRoom(code);
+  }
+}
+
+const newToken = () => crypto.randomBytes(16).toString("base64url");
+
+function roomTtl(ttlSeconds) {
+  const ttlMs = Number(ttlSeconds) * 1000;
+  if (!Number.isFinite(ttlMs) || ttlMs <= 0) return DEFAULT_ROOM_TTL_MS;
+  return Math.min(MAX_ROOM_TTL_MS, Math.max(MIN_ROOM_TTL_MS, ttlMs));
+}
+
+const pickCode = () => crypto.randomInt(100000, 1000000).toString();
+
+// Put a reconnected socket back in the place its token was issued for
+async function rejoinRoom(socket, code, token, previousId) {
+  const room = await store.replacePeer(code, previousId, socket.id);
+  if (!room) {
+    rejectJoin(socket, code, "not-found", "No such code");
+    return;
+  }
+
+  await store.setToken(code, token, socket.id);
+  io.in(previousId).socketsLeave(code);
+  socket.join(code);
+  if (room.peers.size > 1) clearExpiry(code);
+  socket.emit("room-joined", joinedInfo(room, code, token));
+
+  if (room.senderId === socket.id) {
+    socket.to(code).emit("peer-rejoined", { previousId, peerId: socket.id });
+  } else {
+    io.to(room.senderId).emit("peer-joined", { peerId: socket.id, previousId });
+  }
+  log.info("peer-rejoined", { room: codeHash(code), socket: socket.id, previous: previousId });
+}
+
+function joinedInfo(room, code, token) {
+  return {
+    code,
+    token,
+    expiresAt: room.expiresAt,
+    expiresIn: Math.max(0, room.expiresAt - Date.now()),
+    hasPassword: Boolean(room.hasPassword)
+  };
+}
+
+// ---------- HANDLER ERRORS ----------
+// A failing store (Redis going away, say) must not surface as an unhandled
+// rejection. The error is logged, and reply(...args) answers a client that
+// is waiting on this event.
+function guard(socket, event, handler, reply) {
+  socket.on(event, async (...args) => {
+    try {
+      await handler(...args);
+    } catch (err) {
+      log.error("handler-failed", { handler: event, socket: socket.id, message: err.message });
+      if (reply) reply(...args);
+    }
+  });
+}
+
 io.on("connection", socket => {
-  console.log("User connected:", socket.id);
+  const address = clientAddress(socket);
+  log.info("connected", { socket: socket.id });
+
+  // Reserve a fresh code for the sender
+  guard(socket, "create-room", async (options) => {
+    if (!limits.createIp.hit(address)) {
+      metrics.rateLimited.inc({ action: "create" });
+      roomError(socket, null, "rate-limited", "Too many codes requested, try again later");
+      return;
+    }
+
+    const ttlMs = roomTtl(options?.ttlSeconds);
+    const expiresAt = Date.now() + ttlMs;
+    const broadcast = Boolean(options?.broadcast);
+    const room = {
+      senderId: socket.id,
+      broadcast,
+      // Burning a broadcast code would keep out every receiver but the first
+      oneTime: !broadcast && Boolean(options?.oneTime),
+      hasPassword: Boolean(options?.hasPassword),
+      peers: [socket.id],
+      expiresAt
+    };
 
-  // Join room
-  socket.on("join-room", (code) => {
+    // Retry until we land on a code nobody holds
+    let code;
+    do {
+      code = pickCode();
+    } while (!(await store.createRoom({ ...room, code }, ttlMs)));
+
+    const token = newToken();
+    await store.setToken(code, token, socket.id);
+    setExpiry(code, ttlMs);
     socket.join(code);
-    socket.to(code).emit("peer-joined");
+    socket.emit("room-created", {
+      code,
+      expiresAt,
+      expiresIn: ttlMs,
+      broadcast,
+      oneTime: room.oneTime,
+      hasPassword: room.hasPassword,
+      token
+    });
+    metrics.roomsCreated.inc();
+    log.info("room-created", {
+      room: codeHash(code),
+      socket: socket.id,
+      broadcast,
+      oneTime: room.oneTime,
+      ttl: ttlMs / 1000
+    });
+  }, () => roomError(socket, null, "server-error", "Something went wrong on the server, try again"));
+
+  // Join room, or with { token } rejoin it after a reconnect
+  guard(socket, "join-room", async (code, options) => {
+    const lockedFor = lockout.lockedFor(address);
+    if (lockedFor > 0) {
+      rejectJoin(socket, null, "locked-out",
+        `Too many wrong codes, try again in ${Math.ceil(lockedFor / 60000)} min`);
+      return;
+    }
+
+    if (!limits.joinIp.hit(address) || !limits.joinSocket.hit(socket.id)) {
+      metrics.rateLimited.inc({ action: "join" });
+      rejectJoin(socket, null, "rate-limited", "Too many attempts, try again later");
+      return;
+    }
+
+    if (!isRoomCode(code)) {
+      rejectJoin(socket, null, "invalid", "That is not a valid code");
+      return;
+    }
+
+    const token = typeof options?.token === "string" && options.token.length <= 64
+      ? options.token
+      : null;
+    const previousId = token && await store.getTokenPeer(code, token);
+    if (previousId) {
+      await rejoinRoom(socket, code, token, previousId);
+      return;
+    }
+
+    const room = await store.getRoom(code);
+
+    if (!room) {
+      lockout.fail(address);
+      rejectJoin(socket, code, "not-found", "No such code");
+      return;
+    }
+
+    if (room.used && !room.peers.has(socket.id)) {
+      rejectJoin(socket, code, "used", "This code has already been used");
+      return;
+    }
+
+    const result = await store.addPeer(
+      code,
+      socket.id,
+      room.broadcast ? MAX_BROADCAST_PEERS : MAX_PEERS
+    );
+
+    if (result === "not-found") {
+      rejectJoin(socket, code, "not-found", "No such code");
+      return;
+    }
+
+    if (result === "full") {
+      rejectJoin(socket, code, "room-full", "This code is already in use");
+      return;
+    }
+
+    // Paired: the code is no longer waiting for anyone, so stop the expiry.
+    // Re-joining after a dropped connection just asks the sender to re-offer.
+    if (result === "added") {
+      clearExpiry(code);
+      socket.join(code);
+      const token = newToken();
+      await store.setToken(code, token, socket.id);
+      socket.emit("room-joined", joinedInfo(room, code, token));
+    }
+    io.to(room.senderId).emit("peer-joined", { peerId: socket.id });
+    log.info("peer-joined", { room: codeHash(code), socket: socket.id, rejoin: result === "present" });
+  }, (code) => roomError(socket, isRoomCode(code) ? code : null, "server-error", "Something went wrong on the server, try again"));
+
+  // The sender's end confirmed the pairing code; a one-time code is spent
+  guard(socket, "room-paired", async (code) => {
+    if (!isRoomCode(code)) return;
+    const room = await store.getRoom(code);
+    if (!room || !room.oneTime || room.used || room.senderId !== socket.id) return;
+
+    await store.markUsed(code);
+    log.info("room-used", { room: codeHash(code) });
   });
 
-  // Relay SDP + ICE
-  socket.on("signal", ({ code, data }) => {
-    socket.to(code).emit("signal", data);
+  // Relay SDP + ICE, tagged with who sent it. Malformed, oversized and
+  // over-the-limit signals are dropped.
+  guard(socket, "signal", async (payload) => {
+    if (!limits.signalIp.hit(address) || !limits.signalSocket.hit(socket.id)) {
+      metrics.rateLimited.inc({ action: "signal" });
+      return;
+    }
+
+    const { code, to, data } = payload || {};
+    const signal = validateSignal(data);
+    if (!isRoomCode(code) || (to !== undefined && to !== null && !isSocketId(to)) || !signal) {
+      metrics.signalsDropped.inc({ reason: "invalid" });
+      log.warn("signal-dropped", { socket: socket.id, reason: "invalid" });
+      return;
+    }
+
+    const room = await store.getRoom(code);
+    if (!room || !room.peers.has(socket.id)) {
+      metrics.signalsDropped.inc({ reason: "not-in-room" });
+      return;
+    }
+
+    const message = { ...signal, from: socket.id };
+    metrics.signalsRelayed.inc();
+
+    if (to) {
+      if (room.peers.has(to)) io.to(to).emit("signal", message);
+    } else if (room.broadcast && socket.id !== room.senderId) {
+      io.to(room.senderId).emit("signal", message);
+    } else {
+      socket.to(code).emit("signal", message);
+    }
+  });
+
+  // ---------- NEARBY DEVICES ----------
+
+  function presenceFailed() {
+    socket.emit("presence-error", { reason: "server-error", message: "Nearby devices are unavailable right now" });
+  }
+
+  function presenceAllowed() {
+    if (limits.presenceSocket.hit(socket.id)) return true;
+    metrics.rateLimited.inc({ action: "presence" });
+    return false;
+  }
+
+  guard(socket, "presence-join", async (options) => {
+    if (!presenceAllowed()) return;
+    if (!(await presence.join(socket, address, options))) {
+      socket.emit("presence-error", { reason: "invalid", message: "Device names are 1-40 characters" });
+    }
+  }, presenceFailed);
+
+  guard(socket, "presence-leave", () => presence.leave(socket));
+
+  // Only for a room this socket created
+  guard(socket, "presence-invite", async (payload) => {
+    const { to, room: code } = payload || {};
+    if (!presenceAllowed() || !isSocketId(to) || !isRoomCode(code)) return;
+    const room = await store.getRoom(code);
+    if (!room || room.senderId !== socket.id) return;
+    if (!(await presence.invite(socket, to, code))) {
+      socket.emit("presence-error", { reason: "not-found", message: "That device is no longer nearby" });
+    }
+  }, presenceFailed);
+
+  guard(socket, "presence-decline", async (payload) => {
+    if (!presenceAllowed() || !isSocketId(payload?.to)) return;
+    await presence.decline(socket, payload.to);
+  });
+
+  socket.on("disconnecting", () => {
+    // socket.rooms is emptied once this handler returns
+    for (const code of [...socket.rooms].filter(isRoomCode)) {
+      leaveRoom(socket, code).catch((err) => {
+        log.error("leave-failed", { room: codeHash(code), message: err.message });
+      });
+    }
   });
 
   socket.on("disconnect", () => {
-    console.log("User disconnected:", socket.id);
+    presence.leave(socket).catch((err) => {
+      log.error("presence-leave-failed", { socket: socket.id, message: err.message });
+    });
+    limits.joinSocket.forget(socket.id);
+    limits.signalSocket.forget(socket.id);
+    limits.presenceSocket.forget(socket.id);
+    log.info("disconnected", { socket: socket.id });
   });
 });
 
-const PORT = 5000;
-server.listen(PORT, () => console.log("Signaling server running on port", PORT));
+const PORT = Number(process.env.PORT) || 5000;
+server.listen(PORT, () => log.info("listening", { port: PORT }));
+
+// Render and most hosts stop instances with SIGTERM
+process.on("SIGTERM", async () => {
+  io.close();
+  await store.close();
+  process.exit(0);
+});
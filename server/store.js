@@ -0,0 +1,125 @@
+// ---------- ROOM STORE ----------
+// Room state lives behind this interface so several server instances can
+// share it. Every method is async:
+//   createRoom(room, ttlMs)         false if the code is already taken
+//   getRoom(code)                   { code, senderId, broadcast, oneTime, hasPassword,
+//                                     peers, expiresAt, paired, used } or null
+//   addPeer(code, peerId, maxPeers) "added" | "present" | "full" | "not-found"
+//   removePeer(code, peerId)        number of peers left
+//   replacePeer(code, oldId, newId) the updated room, or null if it is gone
+//   setToken(code, token, peerId)
+//   getTokenPeer(code, token)       the peerId a rejoin token belongs to, or null
+//   markUsed(code)                  a one-time room has paired; `used` from now on
+//   deleteRoom(code)
+//   listRooms()                     every live room
+//   close()
+// `peers` is a Set of socket ids, the sender's included. An unpaired room
+// lasts ttlMs; once someone joins it is `paired` and stays until deleted.
+// A rejoin token lets a peer whose socket reconnected (and so changed id)
+// take its old place with replacePeer, the sender's role included.
+//
+// With REDIS_URL set, rooms are kept in Redis (see redis-store.js) and
+// Socket.IO relays events between instances through it, so any number of
+// servers can sit behind a load balancer and a restart doesn't lose
+// pairings. Without it everything stays in this process.
+
+import { log } from './logger.js';
+
+export function createMemoryStore() {
+  const rooms = new Map(); // code -> room
+
+  return {
+    async createRoom(room) {
+      if (rooms.has(room.code)) return false;
+      rooms.set(room.code, {
+        ...room,
+        peers: new Set(room.peers),
+        tokens: new Map(),
+        paired: false,
+        used: false
+      });
+      return true;
+    },
+
+    async getRoom(code) {
+      return rooms.get(code) || null;
+    },
+
+    async addPeer(code, peerId, maxPeers) {
+      const room = rooms.get(code);
+      if (!room) return "not-found";
+      if (room.peers.has(peerId)) return "present";
+      if (room.peers.size >= maxPeers) return "full";
+      room.peers.add(peerId);
+      room.paired = true;
+      return "added";
+    },
+
+    async removePeer(code, peerId) {
+      const room = rooms.get(code);
+      if (!room) return 0;
+      room.peers.delete(peerId);
+      return room.peers.size;
+    },
+
+    async replacePeer(code, oldId, newId) {
+      const room = rooms.get(code);
+      if (!room) return null;
+      room.peers.delete(oldId);
+      room.peers.add(newId);
+      if (room.senderId === oldId) room.senderId = newId;
+      return room;
+    },
+
+    async setToken(code, token, peerId) {
+      rooms.get(code)?.tokens.set(token, peerId);
+    },
+
+    async getTokenPeer(code, token) {
+      return rooms.get(code)?.tokens.get(token) || null;
+    },
+
+    async markUsed(code) {
+      const room = rooms.get(code);
+      if (room) room.used = true;
+    },
+
+    async deleteRoom(code) {
+      rooms.delete(code);
+    },
+
+    async listRooms() {
+      return [...rooms.values()];
+    },
+
+    async close() {}
+  };
+}
+
+// The store for this environment, with the Socket.IO adapter to match.
+// Redis modules are only loaded when they are used.
+export async function createStore(io) {
+  const url = process.env.REDIS_URL;
+  if (!url) return createMemoryStore();
+
+  const [{ createClient }, { createAdapter }, { createRedisStore }] = await Promise.all([
+    import('redis'),
+    import('@socket.io/redis-adapter'),
+    import('./redis-store.js')
+  ]);
+
+  // Commands fail while Redis is away rather than queueing until it is
+  // back, so a waiting client hears about it (see guard in server.js)
+  const client = createClient({ url, disableOfflineQueue: true });
+  const subscriber = client.duplicate();
+  client.on("error", (err) => log.error("redis-error", { message: err.message }));
+  subscriber.on("error", (err) => log.error("redis-error", { message: err.message }));
+  await Promise.all([client.connect(), subscriber.connect()]);
+
+  io.adapter(createAdapter(client, subscriber));
+  log.info("store", { type: "redis", host: new URL(url).host });
+
+  return createRedisStore(client, {
+    onClose: () => Promise.all([client.quit(), subscriber.quit()])
+  });
+}
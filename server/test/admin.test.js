@@ -0,0 +1,55 @@
+// The admin routes refuse anyone without the right bearer token, and don't
+// exist at all without ADMIN_TOKEN. admin.js reads it on import.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import express from 'express';
+
+process.env.ADMIN_TOKEN = "s3cret";
+const { createAdminRouter } = await import('../admin.js');
+
+const rooms = [{ code: "123456", broadcast: false, peers: new Set(["a"]), expiresAt: 0 }];
+const closed = [];
+const store = { listRooms: async () => rooms };
+
+async function serve(router) {
+  const server = express().use("/admin", router).listen(0);
+  await once(server, "listening");
+  test.after(() => server.close());
+  return `http://localhost:${server.address().port}/admin/rooms`;
+}
+
+const url = await serve(createAdminRouter({ store, closeRoom: async (code) => closed.push(code) }));
+const get = (authorization) => fetch(url, { headers: authorization ? { authorization } : {} });
+
+test("requests without the admin token are refused", async () => {
+  for (const authorization of [undefined, "Bearer", "Bearer wrong", "Basic s3cret", "s3cret", "Bearer s3cret2"]) {
+    const res = await get(authorization);
+    assert.equal(res.status, 401, String(authorization));
+    assert.deepEqual(await res.json(), { error: "unauthorized" });
+  }
+
+  const res = await fetch(`${url}/whatever`, { method: "DELETE", headers: { authorization: "Bearer nope" } });
+  assert.equal(res.status, 401);
+  assert.deepEqual(closed, []);
+});
+
+test("the admin token gets the room list, without codes", async () => {
+  const res = await get("Bearer s3cret");
+  assert.equal(res.status, 200);
+
+  const { rooms: listed } = await res.json();
+  assert.equal(listed.length, 1);
+  assert.equal(listed[0].peers, 1);
+  assert.ok(!JSON.stringify(listed).includes("123456"));
+});
+
+test("without ADMIN_TOKEN the routes are not there", async () => {
+  delete process.env.ADMIN_TOKEN;
+  const { createAdminRouter: disabled } = await import('../admin.js?disabled');
+  const off = await serve(disabled({ store, closeRoom: async () => {} }));
+
+  assert.equal((await fetch(off)).status, 404);
+  assert.equal((await fetch(off, { headers: { authorization: "Bearer s3cret" } })).status, 404);
+});
@@ -0,0 +1,82 @@
+// Two signaling servers sharing redis-standin.js: a room made on one and
+// paired through the other must not be expired by the first one's timer.
+// MIN_ROOM_TTL_SECONDS lets the codes expire in half a second.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import { once } from 'events';
+import { setTimeout as sleep } from 'timers/promises';
+import { fileURLToPath } from 'url';
+import { io } from 'socket.io-client';
+
+const root = fileURLToPath(new URL("..", import.meta.url));
+const REDIS_PORT = 6390;
+const PORTS = [5090, 5091];
+const children = [];
+
+function start(script, env, ready) {
+  const child = spawn(process.execPath, [script], {
+    cwd: root,
+    env: { ...process.env, LOG_LEVEL: "info", ...env },
+    stdio: ["ignore", "pipe", "inherit"]
+  });
+  children.push(child);
+
+  return new Promise((resolve, reject) => {
+    let output = "";
+    child.stdout.on("data", (data) => {
+      output += data;
+      if (output.includes(ready)) resolve(child);
+    });
+    child.once("exit", (status) => reject(new Error(`${script} exited with ${status}`)));
+  });
+}
+
+function connect(port) {
+  const socket = io(`http://localhost:${port}`, { transports: ["websocket"], reconnection: false });
+  return once(socket, "connect").then(() => socket);
+}
+
+async function expiredTotal(port) {
+  const text = await (await fetch(`http://localhost:${port}/metrics`)).text();
+  return Number(text.match(/^signaling_rooms_expired_total (\d+)$/m)[1]);
+}
+
+test.after(() => {
+  for (const child of children) child.kill("SIGKILL");
+});
+
+test("only rooms that never paired count as expired", { timeout: 30000 }, async () => {
+  await start("redis-standin.js", { REDIS_PORT }, String(REDIS_PORT));
+  const env = { REDIS_URL: `redis://127.0.0.1:${REDIS_PORT}`, MIN_ROOM_TTL_SECONDS: 0.2 };
+  await Promise.all(PORTS.map((PORT) => start("server.js", { ...env, PORT }, "\"listening\"")));
+
+  // Both codes are made on the first server, so its timers hold them
+  const sender = await connect(PORTS[0]);
+  const lonely = await connect(PORTS[0]);
+  const expired = [];
+  sender.on("room-expired", ({ code }) => expired.push(code));
+  lonely.on("room-expired", ({ code }) => expired.push(code));
+
+  sender.emit("create-room", { ttlSeconds: 0.5 });
+  const [{ code: paired }] = await once(sender, "room-created");
+  lonely.emit("create-room", { ttlSeconds: 0.5 });
+  const [{ code: unpaired }] = await once(lonely, "room-created");
+
+  // The receiver pairs through the second server, then leaves again
+  const receiver = await connect(PORTS[1]);
+  receiver.emit("join-room", paired);
+  await once(receiver, "room-joined");
+  receiver.disconnect();
+  await once(sender, "peer-left");
+
+  await sleep(800);
+
+  assert.deepEqual(expired, [unpaired]);
+  assert.equal(await expiredTotal(PORTS[0]), 1);
+  assert.equal(await expiredTotal(PORTS[1]), 0);
+
+  sender.disconnect();
+  lonely.disconnect();
+});
@@ -0,0 +1,123 @@
+// security.js on its own: signal validation, rate limits, the lockout and
+// which X-Forwarded-For entry is believed. Its config is read from the
+// environment on import, so that is set first.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'timers/promises';
+
+Object.assign(process.env, { TRUST_PROXY: "2", MAX_SDP_BYTES: "100", MAX_CANDIDATE_BYTES: "50" });
+const { validateSignal, createRateLimiter, createLockout, clientAddress, requestAddress } =
+  await import('../security.js');
+
+// ---------- SIGNALS ----------
+
+test("well-formed signals are rebuilt from the fields webrtc.js uses", () => {
+  assert.deepEqual(
+    validateSignal({ type: "offer", offer: { type: "offer", sdp: "v=0", extra: 1 }, to: "x" }),
+    { type: "offer", offer: { type: "offer", sdp: "v=0" } }
+  );
+  assert.deepEqual(
+    validateSignal({ type: "ice", candidate: { candidate: "candidate:1", sdpMLineIndex: 0 } }),
+    { type: "ice", candidate: { candidate: "candidate:1", sdpMid: null, sdpMLineIndex: 0, usernameFragment: null } }
+  );
+  assert.deepEqual(validateSignal({ type: "pake", share: "02ab" }), { type: "pake", share: "02ab" });
+});
+
+test("malformed signals are refused", () => {
+  for (const data of [
+    null,
+    "offer",
+    {},
+    { type: "bye" },
+    { type: "offer" },
+    { type: "offer", offer: { type: "answer", sdp: "v=0" } },
+    { type: "answer", answer: { type: "answer", sdp: 42 } },
+    { type: "ice", candidate: { sdpMid: "0" } },
+    { type: "ice", candidate: { candidate: "candidate:1", sdpMLineIndex: -1 } },
+    { type: "ice", candidate: { candidate: "candidate:1", sdpMLineIndex: 1.5 } },
+    { type: "ice", candidate: { candidate: "candidate:1", sdpMid: {} } },
+    { type: "pake", share: "not hex" },
+    { type: "pake", share: 7 }
+  ]) {
+    assert.equal(validateSignal(data), null, JSON.stringify(data));
+  }
+});
+
+test("oversized signals are refused", () => {
+  const sdp = "v".repeat(101);
+  assert.equal(validateSignal({ type: "offer", offer: { type: "offer", sdp } }), null);
+  assert.equal(validateSignal({ type: "answer", answer: { type: "answer", sdp } }), null);
+  assert.equal(validateSignal({ type: "ice", candidate: { candidate: "c".repeat(51) } }), null);
+  assert.equal(validateSignal({ type: "pake", share: "a".repeat(257) }), null);
+
+  assert.ok(validateSignal({ type: "offer", offer: { type: "offer", sdp: "v".repeat(100) } }));
+});
+
+// ---------- RATE LIMITS ----------
+
+test("a rate limit refuses hits over the limit until its window resets", async () => {
+  const limiter = createRateLimiter({ limit: 2, windowMs: 50 });
+  assert.equal(limiter.hit("a"), true);
+  assert.equal(limiter.hit("a"), true);
+  assert.equal(limiter.hit("a"), false);
+  assert.equal(limiter.hit("b"), true);
+
+  await sleep(60);
+  assert.equal(limiter.hit("a"), true);
+
+  limiter.hit("a");
+  limiter.forget("a");
+  assert.equal(limiter.hit("a"), true);
+});
+
+// ---------- LOCKOUT ----------
+
+test("an address is locked out at the threshold, and only for lockoutMs", async () => {
+  const lockout = createLockout({ maxFailures: 3, windowMs: 1000, lockoutMs: 50 });
+  lockout.fail("a");
+  lockout.fail("a");
+  assert.equal(lockout.lockedFor("a"), 0);
+
+  lockout.fail("a");
+  assert.ok(lockout.lockedFor("a") > 0);
+  assert.equal(lockout.lockedFor("b"), 0);
+
+  await sleep(60);
+  assert.equal(lockout.lockedFor("a"), 0);
+
+  // The count starts over once the lockout ends
+  lockout.fail("a");
+  assert.equal(lockout.lockedFor("a"), 0);
+});
+
+test("failures spread wider than the window never lock out", async () => {
+  const lockout = createLockout({ maxFailures: 2, windowMs: 30, lockoutMs: 1000 });
+  lockout.fail("a");
+  await sleep(40);
+  lockout.fail("a");
+  assert.equal(lockout.lockedFor("a"), 0);
+});
+
+// ---------- ADDRESSES ----------
+
+const socket = (forwarded) => ({
+  handshake: { address: "10.0.0.1", headers: forwarded ? { "x-forwarded-for": forwarded } : {} }
+});
+const request = (forwarded) => ({
+  socket: { remoteAddress: "10.0.0.1" },
+  headers: forwarded ? { "x-forwarded-for": forwarded } : {}
+});
+
+test("X-Forwarded-For is read TRUST_PROXY entries from the right", () => {
+  // The client made up the first entry; the two proxies added the others
+  const chain = "6.6.6.6, 1.2.3.4, 172.16.0.2";
+  assert.equal(clientAddress(socket(chain)), "1.2.3.4");
+  assert.equal(requestAddress(request(chain)), "1.2.3.4");
+});
+
+test("a short or missing X-Forwarded-For falls back sensibly", () => {
+  assert.equal(clientAddress(socket("1.2.3.4")), "1.2.3.4");
+  assert.equal(clientAddress(socket()), "10.0.0.1");
+  assert.equal(requestAddress(request("")), "10.0.0.1");
+});
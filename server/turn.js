@@ -0,0 +1,41 @@
+// Local TURN stand-in for development and tests, so relayed sessions can be
+// exercised without coturn. It accepts the same REST-style credentials the
+// signaling server issues from TURN_SECRET, and rejects expired ones.
+//
+//   TURN_SECRET=dev-secret TURN_URLS=turn:localhost:3478 ICE_TRANSPORT_POLICY=relay node server.js
+//   TURN_SECRET=dev-secret node turn.js
+
+import Turn from 'node-turn';
+import { turnPassword } from './ice.js';
+
+const secret = process.env.TURN_SECRET;
+if (!secret) {
+  console.error("TURN_SECRET is required");
+  process.exit(1);
+}
+
+// node-turn looks passwords up by username; derive them on demand instead
+const credentials = new Proxy({}, {
+  get(target, username) {
+    if (typeof username !== "string") return undefined;
+
+    const expiry = Number(username.split(":")[0]);
+    if (!expiry || expiry * 1000 < Date.now()) return undefined;
+
+    return turnPassword(secret, username);
+  }
+});
+
+const PORT = Number(process.env.TURN_PORT) || 3478;
+
+const turn = new Turn({
+  listeningPort: PORT,
+  listeningIps: ["127.0.0.1"],
+  relayIps: ["127.0.0.1"],
+  authMech: "long-term",
+  realm: "send-anywhere-lite",
+  credentials
+});
+
+turn.start();
+console.log("TURN stand-in running on port", PORT);